@@ -0,0 +1,71 @@
+// Minimal OpenAI-compatible stand-in for offline testing of Run Flow and the
+// AI Flow Generator. Serves POST /v1/chat/completions with streaming support.
+import http from "node:http";
+
+const port = Number(process.env.PORT) || 8787;
+
+const buildReply = (messages = []) => {
+  const lastUser = [...messages].reverse().find((message) => message.role === "user");
+  return `Mock reply to ${messages.length} message(s). Last user message:\n${lastUser?.content ?? "(none)"}`;
+};
+
+const server = http.createServer((req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) {
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: { message: "Only POST /v1/chat/completions is supported." } }));
+    return;
+  }
+
+  let raw = "";
+  req.on("data", (chunk) => {
+    raw += chunk;
+  });
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(raw || "{}");
+    } catch {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { message: "Invalid JSON body." } }));
+      return;
+    }
+
+    const model = body.model || "mock-model";
+    const reply = body.response_format
+      ? JSON.stringify({ nodes: [{ id: "n1", role: "system", label: "System", content: "Mock flow." }], edges: [] })
+      : buildReply(body.messages);
+
+    if (!body.stream) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ model, choices: [{ index: 0, message: { role: "assistant", content: reply } }] }));
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+    const chunks = reply.match(/[\s\S]{1,12}/g) ?? [];
+    let index = 0;
+    const timer = setInterval(() => {
+      if (index >= chunks.length) {
+        clearInterval(timer);
+        res.write("data: [DONE]\n\n");
+        res.end();
+        return;
+      }
+      res.write(`data: ${JSON.stringify({ model, choices: [{ index: 0, delta: { content: chunks[index] } }] })}\n\n`);
+      index += 1;
+    }, 30);
+    res.on("close", () => clearInterval(timer));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock LLM server listening on http://localhost:${port}/v1`);
+});
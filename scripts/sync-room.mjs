@@ -0,0 +1,8 @@
+// Returns null when the path cannot be decoded.
+export function getRoomName(requestUrl = "/") {
+  try {
+    return decodeURIComponent(new URL(requestUrl, "http://localhost").pathname.slice(1)) || "default";
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,16 @@
+import { describe, expect, it } from "vitest";
+import { getRoomName } from "./sync-room.mjs";
+
+describe("getRoomName", () => {
+  it("decodes percent-encoded room names", () => {
+    expect(getRoomName(`/${encodeURIComponent("50% off")}`)).toBe("50% off");
+  });
+
+  it("falls back to the default room for an empty path", () => {
+    expect(getRoomName("/")).toBe("default");
+  });
+
+  it("returns null instead of throwing for malformed escapes", () => {
+    expect(getRoomName("/50%25off%")).toBeNull();
+  });
+});
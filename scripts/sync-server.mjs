@@ -0,0 +1,149 @@
+// y-websocket relay: PORT=1234 HOST=0.0.0.0 npm run sync. Rooms live in memory only.
+// There is no authentication, so run it on a trusted network or behind a proxy.
+import http from "node:http";
+import { WebSocketServer } from "ws";
+import * as Y from "yjs";
+import * as awarenessProtocol from "y-protocols/awareness";
+import * as syncProtocol from "y-protocols/sync";
+import * as decoding from "lib0/decoding";
+import * as encoding from "lib0/encoding";
+import { getRoomName } from "./sync-room.mjs";
+
+const port = Number(process.env.PORT) || 1234;
+const host = process.env.HOST || "localhost";
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const PING_INTERVAL_MS = 30000;
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+const CLOSE_POLICY_VIOLATION = 1008;
+
+const rooms = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(message, (error) => error && socket.terminate());
+  }
+};
+
+const encodeMessage = (type, write) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, type);
+  write(encoder);
+  return encoding.toUint8Array(encoder);
+};
+
+const getRoom = (name) => {
+  if (rooms.has(name)) {
+    return rooms.get(name);
+  }
+  const doc = new Y.Doc();
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null);
+  const sockets = new Map();
+  const room = { name, doc, awareness, sockets };
+
+  doc.on("update", (update) => {
+    const message = encodeMessage(MESSAGE_SYNC, (encoder) => syncProtocol.writeUpdate(encoder, update));
+    sockets.forEach((_, socket) => send(socket, message));
+  });
+  awareness.on("update", ({ added, updated, removed }, origin) => {
+    const changed = [...added, ...updated, ...removed];
+    const owned = sockets.get(origin);
+    if (owned) {
+      added.forEach((clientId) => owned.add(clientId));
+      removed.forEach((clientId) => owned.delete(clientId));
+    }
+    const message = encodeMessage(MESSAGE_AWARENESS, (encoder) =>
+      encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, changed))
+    );
+    sockets.forEach((_, socket) => send(socket, message));
+  });
+
+  rooms.set(name, room);
+  return room;
+};
+
+const leaveRoom = (room, socket) => {
+  const owned = room.sockets.get(socket);
+  if (!owned) {
+    return;
+  }
+  room.sockets.delete(socket);
+  awarenessProtocol.removeAwarenessStates(room.awareness, [...owned], null);
+  if (!room.sockets.size) {
+    room.awareness.destroy();
+    room.doc.destroy();
+    rooms.delete(room.name);
+    console.log(`Room "${room.name}" closed`);
+  }
+};
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end(`Prompt flow sync server: ${rooms.size} active room(s).\n`);
+});
+
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
+
+wss.on("connection", (socket, req) => {
+  const name = getRoomName(req.url);
+  if (name === null) {
+    socket.close(CLOSE_POLICY_VIOLATION, "Malformed room name");
+    return;
+  }
+  const room = getRoom(name);
+  room.sockets.set(socket, new Set());
+  socket.isAlive = true;
+  console.log(`Client joined room "${name}" (${room.sockets.size} connected)`);
+
+  socket.on("pong", () => {
+    socket.isAlive = true;
+  });
+  socket.on("message", (data) => {
+    try {
+      const decoder = decoding.createDecoder(new Uint8Array(data));
+      const type = decoding.readVarUint(decoder);
+      if (type === MESSAGE_SYNC) {
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_SYNC);
+        syncProtocol.readSyncMessage(decoder, encoder, room.doc, socket);
+        if (encoding.length(encoder) > 1) {
+          send(socket, encoding.toUint8Array(encoder));
+        }
+      } else if (type === MESSAGE_AWARENESS) {
+        awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), socket);
+      }
+    } catch (error) {
+      console.error(`Dropped a malformed message in room "${name}": ${error.message}`);
+    }
+  });
+  socket.on("close", () => leaveRoom(room, socket));
+
+  send(socket, encodeMessage(MESSAGE_SYNC, (encoder) => syncProtocol.writeSyncStep1(encoder, room.doc)));
+  const states = [...room.awareness.getStates().keys()];
+  if (states.length) {
+    send(
+      socket,
+      encodeMessage(MESSAGE_AWARENESS, (encoder) =>
+        encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(room.awareness, states))
+      )
+    );
+  }
+});
+
+// Drops sockets that stopped answering pings so their presence disappears.
+const pingTimer = setInterval(() => {
+  wss.clients.forEach((socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, PING_INTERVAL_MS);
+wss.on("close", () => clearInterval(pingTimer));
+
+server.listen(port, host, () => {
+  console.log(`Sync server listening on ws://${host}:${port}`);
+});
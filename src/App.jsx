@@ -1,4 +1,4 @@
-import { useCallback, useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   Background,
   Controls,
@@ -13,74 +13,136 @@ import {
 } from "@xyflow/react";
 import "@xyflow/react/dist/style.css";
 import PromptNode from "./components/PromptNode";
+import {
+  CONTENT_FORMATS,
+  convertListItems,
+  createListItem,
+  formatContent,
+  normalizeContentFormat,
+  normalizeListItems,
+  parseNodeContent
+} from "./lib/listItems";
+import VariablesPanel from "./components/VariablesPanel";
+import FlowLibraryPanel from "./components/FlowLibraryPanel";
+import ExportPanel from "./components/ExportPanel";
+import TokenBudget from "./components/TokenBudget";
+import ProviderSettings from "./components/ProviderSettings";
+import RunFlowModal from "./components/RunFlowModal";
+import ProblemsPanel from "./components/ProblemsPanel";
+import SnippetsPanel from "./components/SnippetsPanel";
+import FindReplacePanel from "./components/FindReplacePanel";
+import FlowDiffModal from "./components/FlowDiffModal";
+import CollaborationPanel from "./components/CollaborationPanel";
+import PresenceCursors from "./components/PresenceCursors";
+import CommandPalette from "./components/CommandPalette";
+import SequenceOutline from "./components/SequenceOutline";
+import ShortcutsModal from "./components/ShortcutsModal";
+import useFlowHistory from "./hooks/useFlowHistory";
+import useCollaboration from "./hooks/useCollaboration";
+import {
+  backupFlowDocument,
+  createFlowEntry,
+  deleteFlowDocument,
+  getFlowFingerprint,
+  getUniqueFlowName,
+  loadFlowDocument,
+  loadLibrary,
+  saveFlowDocument,
+  saveLibrary
+} from "./lib/flowLibrary";
+import {
+  FLOW_DOCUMENT_VERSION,
+  createFlowDocument,
+  isFlowDocument,
+  readFlowDocument
+} from "./lib/flowSchema";
+import {
+  collectFlowVariables,
+  normalizeVariables,
+  resolveVariableValues,
+  substituteVariables
+} from "./lib/variables";
+import {
+  applyEdgeBranch,
+  describeBranch,
+  evaluatePredicate,
+  getEdgeBranch,
+  isFallbackPredicate,
+  selectBranchEdge
+} from "./lib/branching";
+import { copyText, downloadTextFile, getTimestampSlug } from "./lib/clipboard";
+import { extractJsonObject } from "./lib/json";
+import {
+  getHost,
+  getProvider,
+  loadProviderConfig,
+  requestJsonCompletion,
+  saveProviderConfig
+} from "./lib/providers";
+import { deleteRunHistory } from "./lib/runHistory";
+import { getBlockingIssue, validateFlow } from "./lib/validation";
+import { messagesToGraph, parseChatTranscript, parseJsonlDataset } from "./lib/transcripts";
+import { exportFlowYaml, exportPrompty, isPromptyText, parseFlowYaml, parsePrompty } from "./lib/flowFiles";
+import {
+  PASTE_OFFSET,
+  SELECTION_MIME_TYPE,
+  createSelectionPayload,
+  getSelectedNodeIds,
+  instantiateSelection,
+  parseSelectionPayload
+} from "./lib/selection";
+import { replaceMatches } from "./lib/findReplace";
+import { materializeNode } from "./lib/collaboration";
+import {
+  eventToBinding,
+  findCommandForBinding,
+  formatBindings,
+  loadShortcutBindings,
+  saveShortcutBindings
+} from "./lib/shortcuts";
+import { SHARE_LINK_WARNING_LENGTH, createShareLink, hasShareFragment, readShareFragment } from "./lib/shareLinks";
+import { createSnippet, exportSnippets, importSnippets, loadSnippets, saveSnippets } from "./lib/snippets";
+import {
+  createSubflowResolver,
+  describeSubflowSource,
+  groupNodesAsSubflow,
+  isSubflowGroup,
+  ungroupSubflow
+} from "./lib/subflows";
+import {
+  createExample,
+  createShuffleSeed,
+  formatExamples,
+  formatNodeContent,
+  normalizeExampleOptions,
+  normalizeExamples,
+  selectExamples
+} from "./lib/examples";
+import {
+  DEFAULT_PROMPT_RENDERER,
+  PROMPT_RENDERERS,
+  TEMPLATE_PLACEHOLDERS,
+  normalizePromptRenderer,
+  renderSequence
+} from "./lib/promptRenderers";
+import {
+  appendStepOrder,
+  compareStepOrder,
+  getNextStepOrder,
+  hasStepOrder,
+  pinStepOrder,
+  reorderSiblings
+} from "./lib/stepOrder";
 
 const TEMPLATE_NODES = [
   { role: "system", label: "System", hint: "Global rules and behavior" },
   { role: "user", label: "User", hint: "User intent or inputs" },
   { role: "assistant", label: "Assistant", hint: "Assistant response template" },
-  { role: "condition", label: "Condition", hint: "Branching rule for next step" }
+  { role: "condition", label: "Condition", hint: "Branching rule for next step" },
+  { role: "subflow", label: "Subflow", hint: "Inline another saved flow" },
+  { role: "examples", label: "Examples", hint: "Few-shot input/output pairs" }
 ];
 
-const createListItem = (text = "", level = 1) => ({
-  id: `li-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-  text,
-  level: Math.max(1, Math.min(3, Number(level) || 1))
-});
-
-const normalizeListItems = (items = [], fallbackContent = "") => {
-  if (Array.isArray(items) && items.length) {
-    return items.map((item) => {
-      if (typeof item === "string") {
-        return createListItem(item, 1);
-      }
-      return {
-        id: item?.id || createListItem().id,
-        text: item?.text ?? "",
-        level: Math.max(1, Math.min(3, Number(item?.level) || 1))
-      };
-    });
-  }
-
-  const lines = (fallbackContent || "")
-    .split("\n")
-    .map((line) => line.trim())
-    .filter(Boolean);
-
-  if (lines.length) {
-    return lines.map((line) => {
-      const match = line.match(/^(\d+(?:\.\d+)*)(?:\.)?\s+(.+)$/);
-      if (match) {
-        return createListItem(match[2], match[1].split(".").length);
-      }
-      return createListItem(line, 1);
-    });
-  }
-
-  return [createListItem("", 1)];
-};
-
-const formatNumberedList = (items = []) => {
-  const normalized = normalizeListItems(items);
-  const counters = [0, 0, 0];
-
-  return normalized
-    .map((item) => {
-      const level = Math.max(1, Math.min(3, item.level));
-      counters[level - 1] += 1;
-      for (let index = level; index < counters.length; index += 1) {
-        counters[index] = 0;
-      }
-      const token = counters.slice(0, level).join(".");
-      const text = (item.text ?? "").trim();
-      if (!text) {
-        return "";
-      }
-      return `${token} ${text}`;
-    })
-    .filter(Boolean)
-    .join("\n");
-};
-
 const initialNodes = [
   {
     id: "n1",
@@ -123,44 +185,69 @@ const initialEdges = [
 ];
 
 const nodeTypes = { promptNode: PromptNode };
-const FLOW_STORAGE_KEY = "prompt-flow-designer.v1";
+const isEditableTarget = (target) =>
+  target instanceof Element && Boolean(target.closest("input, textarea, select, [contenteditable='true'], .modal-card"));
+const EMPTY_FLOW_STATE = { nodes: [], edges: [], variables: [], selectedNodeId: null };
+const CONTENT_FORMAT_LABELS = {
+  numbered: "Numbered list",
+  bullet: "Bullet list",
+  plain: "Plain paragraphs",
+  raw: "Raw text"
+};
+const CONTENT_FORMAT_HINTS = {
+  numbered: "Items are numbered 1, 1.1, 2 … in the prompt.",
+  bullet: "Items become nested - bullets in the prompt.",
+  plain: "Each item is a paragraph; levels are ignored.",
+  raw: "The node holds one text block, used exactly as typed."
+};
 
-function getInitialFlowState() {
-  const fallback = {
-    nodes: initialNodes,
-    edges: initialEdges,
-    selectedNodeId: initialNodes[0]?.id ?? null
+function getFlowStateFromDocument(document) {
+  return {
+    nodes: document.nodes,
+    edges: document.edges,
+    variables: document.variables,
+    selectedNodeId: document.selectedNodeId,
+    promptRenderer: document.promptRenderer
   };
+}
 
-  if (typeof window === "undefined") {
-    return fallback;
-  }
-
-  try {
-    const raw = window.localStorage.getItem(FLOW_STORAGE_KEY);
-    if (!raw) {
-      return fallback;
-    }
-
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed?.nodes) || !Array.isArray(parsed?.edges)) {
-      return fallback;
-    }
+function getNotableReport(report, error = null) {
+  return error || report.some((entry) => entry.level !== "migrated") ? { error, entries: report } : null;
+}
 
-    const selectedNodeId =
-      typeof parsed.selectedNodeId === "string" &&
-      parsed.nodes.some((node) => node?.id === parsed.selectedNodeId)
-        ? parsed.selectedNodeId
-        : parsed.nodes[0]?.id ?? null;
+function readStoredFlow(flowId, fallback = EMPTY_FLOW_STATE) {
+  const stored = loadFlowDocument(flowId);
+  if (!stored.document && !stored.error) {
+    return { ...fallback, loadReport: null };
+  }
 
+  const result = stored.error
+    ? { document: null, report: [], error: stored.error }
+    : readFlowDocument(stored.document);
+  if (!result.document) {
+    backupFlowDocument(flowId);
     return {
-      nodes: parsed.nodes,
-      edges: parsed.edges,
-      selectedNodeId
+      ...EMPTY_FLOW_STATE,
+      loadReport: getNotableReport(
+        result.report,
+        `${result.error} Started with an empty canvas; the original data was kept as a backup in localStorage.`
+      )
     };
-  } catch {
-    return fallback;
   }
+
+  return { ...getFlowStateFromDocument(result.document), loadReport: getNotableReport(result.report) };
+}
+
+function getInitialFlowState() {
+  const fallback = {
+    nodes: initialNodes,
+    edges: initialEdges,
+    variables: [],
+    selectedNodeId: initialNodes[0]?.id ?? null
+  };
+
+  const library = loadLibrary();
+  return { ...readStoredFlow(library.activeFlowId, fallback), library };
 }
 
 const FLOW_SCHEMA = {
@@ -206,17 +293,28 @@ const AI_RULES = [
   "Ensure the graph is a valid directed flow (no orphan nodes)."
 ];
 
-function parsePromptTextToGraph(text) {
+function parsePromptTextToGraph(text, options = {}) {
   const raw = text.trim();
   if (!raw) {
     return { error: "Prompt text is empty." };
   }
 
+  const dataset = parseJsonlDataset(raw);
+  if (dataset) {
+    const entry = dataset.entries[options.jsonlEntryIndex ?? 0] ?? dataset.entries[0];
+    return { graph: messagesToGraph(entry.messages) };
+  }
+
   const directJson = extractJsonObject(raw);
   if (directJson && Array.isArray(directJson.nodes) && Array.isArray(directJson.edges)) {
     return { graph: directJson };
   }
 
+  const transcript = parseChatTranscript(directJson);
+  if (transcript) {
+    return { graph: messagesToGraph(transcript) };
+  }
+
   const rawLines = raw.split("\n");
   const parentChildNodes = [];
   let currentParent = null;
@@ -366,111 +464,8 @@ function parsePromptTextToGraph(text) {
   return { graph: { nodes, edges } };
 }
 
-function extractJsonObject(text) {
-  if (!text) {
-    return null;
-  }
-  const trimmed = text.trim();
-  try {
-    return JSON.parse(trimmed);
-  } catch {
-    const match = trimmed.match(/```json\s*([\s\S]*?)\s*```/i) || trimmed.match(/({[\s\S]*})/);
-    if (!match) {
-      return null;
-    }
-    try {
-      return JSON.parse(match[1]);
-    } catch {
-      return null;
-    }
-  }
-}
-
 function validateGeneratedGraph(graph) {
-  if (!graph || typeof graph !== "object") {
-    return "Invalid JSON: root must be an object.";
-  }
-  if (!Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
-    return "Invalid JSON: `nodes` and `edges` must be arrays.";
-  }
-  if (!graph.nodes.length) {
-    return "Invalid flow: at least one node is required.";
-  }
-
-  const validRoles = new Set(["system", "user", "assistant"]);
-  const nodeIds = new Set();
-  const degree = new Map();
-  const indegree = new Map();
-  const outgoing = new Map();
-
-  for (const node of graph.nodes) {
-    if (!node?.id || typeof node.id !== "string") {
-      return "Invalid node: every node must have a string `id`.";
-    }
-    if (nodeIds.has(node.id)) {
-      return `Invalid flow: duplicate node id '${node.id}'.`;
-    }
-    if (!validRoles.has(node.role)) {
-      return `Invalid node '${node.id}': role must be system, user, or assistant.`;
-    }
-    if (typeof node.label !== "string") {
-      return `Invalid node '${node.id}': label must be a string.`;
-    }
-    if (typeof node.content !== "string" || !node.content.trim()) {
-      return `Invalid node '${node.id}': content cannot be empty.`;
-    }
-    nodeIds.add(node.id);
-    degree.set(node.id, 0);
-    indegree.set(node.id, 0);
-    outgoing.set(node.id, []);
-  }
-
-  for (const edge of graph.edges) {
-    if (!edge?.from || !edge?.to || typeof edge.from !== "string" || typeof edge.to !== "string") {
-      return "Invalid edge: each edge must include string `from` and `to`.";
-    }
-    if (!nodeIds.has(edge.from) || !nodeIds.has(edge.to)) {
-      return `Invalid edge: '${edge.from}' -> '${edge.to}' references missing node ids.`;
-    }
-    if (edge.from === edge.to) {
-      return `Invalid edge: self-loop found on '${edge.from}'.`;
-    }
-    degree.set(edge.from, (degree.get(edge.from) ?? 0) + 1);
-    degree.set(edge.to, (degree.get(edge.to) ?? 0) + 1);
-    indegree.set(edge.to, (indegree.get(edge.to) ?? 0) + 1);
-    outgoing.get(edge.from).push(edge.to);
-  }
-
-  if (graph.nodes.length > 1) {
-    const orphan = graph.nodes.find((n) => (degree.get(n.id) ?? 0) === 0);
-    if (orphan) {
-      return `Invalid flow: orphan node '${orphan.id}' has no edges.`;
-    }
-  }
-
-  const queue = [];
-  const indegreeCopy = new Map(indegree);
-  for (const node of graph.nodes) {
-    if ((indegreeCopy.get(node.id) ?? 0) === 0) {
-      queue.push(node.id);
-    }
-  }
-  let visited = 0;
-  while (queue.length) {
-    const id = queue.shift();
-    visited += 1;
-    for (const target of outgoing.get(id) ?? []) {
-      indegreeCopy.set(target, (indegreeCopy.get(target) ?? 0) - 1);
-      if ((indegreeCopy.get(target) ?? 0) === 0) {
-        queue.push(target);
-      }
-    }
-  }
-  if (visited !== graph.nodes.length) {
-    return "Invalid flow: graph must be directed and acyclic.";
-  }
-
-  return null;
+  return getBlockingIssue(validateFlow(graph))?.message ?? null;
 }
 
 function layoutGraph(graph) {
@@ -520,7 +515,15 @@ function layoutGraph(graph) {
     const ids = grouped.get(l);
     ids.forEach((id, lane) => {
       const node = nodesById.get(id);
-      const listItems = normalizeListItems([], node.content);
+      const parsed =
+        node.role === "examples"
+          ? {
+              listItems: [],
+              examples: normalizeExamples(node.examples),
+              exampleOptions: normalizeExampleOptions(node.exampleOptions),
+              content: formatExamples(node.examples, node.exampleOptions)
+            }
+          : parseNodeContent(node.content);
       rfNodes.push({
         id: node.id,
         type: "promptNode",
@@ -529,19 +532,30 @@ function layoutGraph(graph) {
           role: node.role,
           label: node.label,
           content: node.content,
-          listItems
+          ...parsed,
+          order: Number.isFinite(node.order) ? node.order : graph.nodes.indexOf(node) + 1,
+          ...(node.role === "subflow" && node.subflow ? { subflow: node.subflow } : {})
         }
       });
     });
   });
 
-  const rfEdges = graph.edges.map((edge, index) => ({
-    id: `e-${edge.from}-${edge.to}-${index}`,
-    source: edge.from,
-    target: edge.to,
-    type: "smoothstep",
-    markerEnd: { type: MarkerType.ArrowClosed }
-  }));
+  const rfEdges = graph.edges.map((edge, index) => {
+    const rfEdge = {
+      id: `e-${edge.from}-${edge.to}-${index}`,
+      source: edge.from,
+      target: edge.to,
+      type: "smoothstep",
+      markerEnd: { type: MarkerType.ArrowClosed }
+    };
+    if (typeof edge.label !== "string" && typeof edge.predicate !== "string") {
+      return rfEdge;
+    }
+    return applyEdgeBranch(rfEdge, {
+      label: typeof edge.label === "string" ? edge.label : "",
+      predicate: typeof edge.predicate === "string" ? edge.predicate : ""
+    });
+  });
 
   return { rfNodes, rfEdges };
 }
@@ -666,12 +680,25 @@ function autoLayoutNodes(currentNodes, currentEdges, mode) {
   }));
 }
 
-function buildPromptOutput(nodes, edges) {
+const MAX_PROMPT_PATHS = 32;
+
+// `flowStack` lists the flows being inlined, so a reference back into it is a cycle.
+function buildPromptOutput(nodes, edges, variables = [], options = {}) {
+  const { resolveFlow = () => null, flowStack = [], renderer = DEFAULT_PROMPT_RENDERER } = options;
+  const safeVariables = normalizeVariables(variables);
+
   if (!nodes.length) {
     return {
       sequence: [],
       structuredPrompt: "",
-      graph: { nodes: [], edges: [] }
+      templatePrompt: "",
+      unresolvedVariables: [],
+      branches: [],
+      outline: [],
+      paths: [],
+      subflows: [],
+      subflowIssues: [],
+      graph: { schemaVersion: FLOW_DOCUMENT_VERSION, nodes: [], edges: [], variables: safeVariables }
     };
   }
 
@@ -683,67 +710,279 @@ function buildPromptOutput(nodes, edges) {
     if (!outgoing.has(e.source)) {
       outgoing.set(e.source, []);
     }
-    outgoing.get(e.source).push(e.target);
+    outgoing.get(e.source).push(e);
     indegree.set(e.target, (indegree.get(e.target) ?? 0) + 1);
   });
 
-  const starts = nodes
-    .filter((n) => (indegree.get(n.id) ?? 0) === 0)
-    .sort((a, b) => a.position.y - b.position.y || a.position.x - b.position.x);
+  outgoing.forEach((list) =>
+    list.sort((a, b) => {
+      const nodeA = nodeMap.get(a.target);
+      const nodeB = nodeMap.get(b.target);
+      if (!nodeA || !nodeB) {
+        return 0;
+      }
+      return compareStepOrder(nodeA, nodeB);
+    })
+  );
 
-  const visited = new Set();
-  const ordered = [];
+  const starts = nodes.filter((n) => (indegree.get(n.id) ?? 0) === 0).sort(compareStepOrder);
 
-  const walk = (id) => {
-    if (visited.has(id)) {
+  const reachable = new Set();
+  const markReachable = (id) => {
+    if (reachable.has(id)) {
       return;
     }
-    visited.add(id);
-    const node = nodeMap.get(id);
-    if (!node) {
-      return;
+    reachable.add(id);
+    (outgoing.get(id) ?? []).forEach((edge) => markReachable(edge.target));
+  };
+  starts.forEach((start) => markReachable(start.id));
+
+  const variableValues = resolveVariableValues(safeVariables);
+
+  // Condition nodes are not emitted; `chooseBranch` returns null while undecided.
+  const orderFlow = (chooseBranch) => {
+    const visited = new Set();
+    const ordered = [];
+    const branches = [];
+    const parents = new Map();
+    let pending = null;
+
+    const walk = (id, parentId = null) => {
+      if (pending || visited.has(id)) {
+        return;
+      }
+      visited.add(id);
+      parents.set(id, parentId);
+      const node = nodeMap.get(id);
+      if (!node) {
+        return;
+      }
+      let targets = outgoing.get(id) ?? [];
+      if (node.data.role === "condition") {
+        if (!targets.length) {
+          return;
+        }
+        const choice = chooseBranch(node, targets);
+        if (!choice) {
+          pending = { node, edges: targets };
+          return;
+        }
+        branches.push({
+          conditionId: node.id,
+          conditionLabel: node.data.label,
+          edgeId: choice.edge.id,
+          branch: describeBranch(choice.edge),
+          reason: choice.reason
+        });
+        targets = [choice.edge];
+      } else {
+        ordered.push(node);
+      }
+      targets.forEach((edge) => walk(edge.target, id));
+    };
+
+    starts.forEach((start) => walk(start.id));
+    nodes.filter((n) => !reachable.has(n.id)).forEach((n) => walk(n.id));
+
+    return { ordered, branches, parents, pending };
+  };
+
+  const subflows = new Map();
+  const subflowIssues = [];
+
+  // The outer flow's variables take precedence over a referenced flow's defaults.
+  const inlineSubflow = (node) => {
+    if (subflows.has(node.id)) {
+      return subflows.get(node.id);
     }
-    ordered.push(node);
-    const targets = [...(outgoing.get(id) ?? [])].sort((a, b) => {
-      const nodeA = nodeMap.get(a);
-      const nodeB = nodeMap.get(b);
-      if (!nodeA || !nodeB) {
-        return 0;
+    const name = node.data.label || node.id;
+    const subflow = node.data.subflow ?? {};
+    const issue = (severity, code, message) => subflowIssues.push({ severity, code, message, nodeId: node.id });
+    let graph = null;
+    let stack = flowStack;
+    if (Array.isArray(subflow.nodes) && Array.isArray(subflow.edges)) {
+      graph = { name, nodes: subflow.nodes, edges: subflow.edges, variables: [] };
+    } else if (!subflow.flowId) {
+      issue("warning", "subflow-unset", `Subflow '${name}' does not reference a flow yet.`);
+    } else if (flowStack.some((flow) => flow.id === subflow.flowId)) {
+      const chain = flowStack.slice(flowStack.findIndex((flow) => flow.id === subflow.flowId));
+      issue(
+        "error",
+        "subflow-cycle",
+        `Subflow '${name}' creates a reference cycle: ${[...chain, chain[0]].map((flow) => `'${flow.name}'`).join(" → ")}.`
+      );
+    } else {
+      graph = resolveFlow(subflow.flowId);
+      if (!graph) {
+        issue("error", "subflow-missing", `Subflow '${name}' references a flow that no longer exists.`);
+      } else {
+        stack = [...flowStack, { id: graph.id, name: graph.name }];
+      }
+    }
+
+    let result = { name: graph?.name ?? name, sequence: [], unresolvedVariables: [] };
+    if (graph) {
+      const names = new Set(safeVariables.map((variable) => variable.name));
+      const inner = buildPromptOutput(
+        graph.nodes,
+        graph.edges,
+        [...safeVariables, ...normalizeVariables(graph.variables).filter((variable) => !names.has(variable.name))],
+        { resolveFlow, flowStack: stack }
+      );
+      inner.subflowIssues.forEach((innerIssue) =>
+        issue(innerIssue.severity, innerIssue.code, `In subflow '${name}': ${innerIssue.message}`)
+      );
+      result = { name: graph.name, sequence: inner.sequence, unresolvedVariables: inner.unresolvedVariables };
+    }
+    subflows.set(node.id, result);
+    return result;
+  };
+
+  const toSequence = (ordered) => {
+    const unresolvedVariables = [];
+    const addUnresolved = (names) =>
+      names.forEach((name) => {
+        if (!unresolvedVariables.includes(name)) {
+          unresolvedVariables.push(name);
+        }
+      });
+    const sequence = [];
+    ordered.forEach((node) => {
+      if (node.data.role === "subflow") {
+        const inlined = inlineSubflow(node);
+        addUnresolved(inlined.unresolvedVariables);
+        inlined.sequence.forEach((item) =>
+          sequence.push({
+            ...item,
+            step: sequence.length + 1,
+            id: `${node.id}/${item.id}`,
+            subflow: [node.data.label || node.id, ...(item.subflow ?? [])]
+          })
+        );
+        return;
       }
-      return nodeA.position.y - nodeB.position.y || nodeA.position.x - nodeB.position.x;
+      const rendered = substituteVariables(node.data.content, variableValues);
+      addUnresolved(rendered.unresolved);
+      const examples = node.data.role === "examples" ? selectExamples(node.data.examples, node.data.exampleOptions) : null;
+      sequence.push({
+        step: sequence.length + 1,
+        id: node.id,
+        role: node.data.role,
+        label: node.data.label,
+        template: node.data.content,
+        content: rendered.text,
+        unresolvedVariables: rendered.unresolved,
+        ...(examples
+          ? {
+              examples: {
+                template: examples.map(({ input, output }) => ({ input, output })),
+                content: examples.map(({ input, output }) => ({
+                  input: substituteVariables(input, variableValues).text,
+                  output: substituteVariables(output, variableValues).text
+                }))
+              }
+            }
+          : {})
+      });
     });
-    targets.forEach(walk);
+    return { sequence, unresolvedVariables };
   };
 
-  starts.forEach((start) => walk(start.id));
-  nodes.forEach((n) => walk(n.id));
+  const active = orderFlow((node, targets) => selectBranchEdge(node, targets, variableValues));
+  const { sequence, unresolvedVariables } = toSequence(active.ordered);
 
-  const sequence = ordered.map((node, index) => ({
-    step: index + 1,
-    id: node.id,
-    role: node.data.role,
-    label: node.data.label,
-    content: node.data.content
-  }));
+  const depths = new Map();
+  const depthOf = (id) => {
+    if (!depths.has(id)) {
+      const parentId = active.parents.get(id);
+      depths.set(id, parentId ? depthOf(parentId) + 1 : 0);
+    }
+    return depths.get(id);
+  };
+  const outline = active.ordered.map((node) => {
+    const steps = sequence.filter((item) => item.id === node.id || item.id.startsWith(`${node.id}/`));
+    return {
+      id: node.id,
+      role: node.data.role,
+      label: node.data.label,
+      parentId: active.parents.get(node.id),
+      depth: depthOf(node.id),
+      steps: steps.map((item) => item.step),
+      isOrdered: hasStepOrder(node)
+    };
+  });
 
-  const structuredPrompt = sequence
-    .map((item) => `[${item.step}] ${item.role.toUpperCase()}\n${item.content || "(empty)"}`)
-    .join("\n\n");
+  const paths = [];
+  const seenPaths = new Set();
+  const explore = (fixed) => {
+    if (paths.length >= MAX_PROMPT_PATHS) {
+      return;
+    }
+    const run = orderFlow((node) =>
+      fixed.has(node.id) ? { edge: fixed.get(node.id), reason: "path" } : null
+    );
+    if (run.pending) {
+      run.pending.edges.forEach((edge) => explore(new Map(fixed).set(run.pending.node.id, edge)));
+      return;
+    }
+    const key = run.ordered.map((node) => node.id).join(">");
+    if (seenPaths.has(key)) {
+      return;
+    }
+    seenPaths.add(key);
+    const pathSequence = toSequence(run.ordered).sequence;
+    paths.push({
+      index: paths.length + 1,
+      branches: run.branches,
+      sequence: pathSequence,
+      structuredPrompt: renderSequence(pathSequence, renderer)
+    });
+  };
+  if (nodes.some((node) => node.data.role === "condition")) {
+    explore(new Map());
+  }
+  nodes.filter((node) => node.data.role === "subflow").forEach(inlineSubflow);
 
   const graph = {
+    schemaVersion: FLOW_DOCUMENT_VERSION,
     nodes: nodes.map((node) => ({
       id: node.id,
       role: node.data.role,
       label: node.data.label,
-      content: node.data.content
+      content: node.data.content,
+      ...(hasStepOrder(node) ? { order: node.data.order } : {}),
+      ...(node.data.role === "examples"
+        ? {
+            examples: normalizeExamples(node.data.examples).map(({ input, output }) => ({ input, output })),
+            exampleOptions: normalizeExampleOptions(node.data.exampleOptions)
+          }
+        : {}),
+      ...(node.data.role === "subflow" && node.data.subflow ? { subflow: node.data.subflow } : {})
     })),
-    edges: edges.map((edge) => ({
-      from: edge.source,
-      to: edge.target
-    }))
+    edges: edges.map((edge) => {
+      const { label, predicate } = getEdgeBranch(edge);
+      return {
+        from: edge.source,
+        to: edge.target,
+        ...(label ? { label } : {}),
+        ...(predicate ? { predicate } : {})
+      };
+    }),
+    variables: safeVariables
   };
 
-  return { sequence, structuredPrompt, graph };
+  return {
+    sequence,
+    structuredPrompt: renderSequence(sequence, renderer),
+    templatePrompt: renderSequence(sequence, renderer, "template"),
+    unresolvedVariables,
+    branches: active.branches,
+    outline,
+    paths,
+    subflows: [...subflows].map(([nodeId, subflow]) => ({ nodeId, ...subflow })),
+    subflowIssues,
+    graph
+  };
 }
 
 function FlowDesigner() {
@@ -751,52 +990,163 @@ function FlowDesigner() {
   const [nodes, setNodes, onNodesChange] = useNodesState(initialFlowState.nodes);
   const [edges, setEdges, onEdgesChange] = useEdgesState(initialFlowState.edges);
   const [selectedNodeId, setSelectedNodeId] = useState(initialFlowState.selectedNodeId);
+  const [variables, setVariables] = useState(initialFlowState.variables);
+  const [promptRenderer, setPromptRenderer] = useState(() =>
+    normalizePromptRenderer(initialFlowState.promptRenderer)
+  );
+  const [library, setLibrary] = useState(initialFlowState.library);
+  const [loadReport, setLoadReport] = useState(initialFlowState.loadReport);
+  const history = useFlowHistory({ nodes, edges, variables, setNodes, setEdges, setVariables });
+  const collaboration = useCollaboration({
+    flowId: library.activeFlowId,
+    nodes,
+    edges,
+    variables,
+    setNodes,
+    setEdges,
+    setVariables,
+    onOpenRoomFlow: (graph, room) => openRoomFlow(graph, room)
+  });
+  const { record: recordHistory, clear: clearHistory } = history;
+  // While collaborating, undo reverts only this user's changes, not everyone's.
+  const { undo, redo, canUndo, canRedo } = collaboration.isConnected ? collaboration : history;
+  const presenceCursorAt = useRef(0);
+  const savedFingerprint = useRef({
+    flowId: initialFlowState.library.activeFlowId,
+    value: getFlowFingerprint(initialFlowState.nodes, initialFlowState.edges, initialFlowState.variables)
+  });
+  const [selectedEdgeId, setSelectedEdgeId] = useState(null);
+  const [promptView, setPromptView] = useState("rendered");
   const [instance, setInstance] = useState(null);
   const [isAiModalOpen, setIsAiModalOpen] = useState(false);
   const [apiKey, setApiKey] = useState("");
+  const [providerConfig, setProviderConfig] = useState(loadProviderConfig);
+  const [importedProviderConfig, setImportedProviderConfig] = useState(null);
+  const [snippets, setSnippets] = useState(loadSnippets);
   const [generatorPrompt, setGeneratorPrompt] = useState("");
   const [isGenerating, setIsGenerating] = useState(false);
   const [generationError, setGenerationError] = useState("");
   const [generatedGraph, setGeneratedGraph] = useState(null);
   const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [isRunModalOpen, setIsRunModalOpen] = useState(false);
+  const [isFindOpen, setIsFindOpen] = useState(false);
+  const [isDiffOpen, setIsDiffOpen] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [pendingShare, setPendingShare] = useState(null);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
+  const [shortcutBindings, setShortcutBindings] = useState(loadShortcutBindings);
   const [importPromptText, setImportPromptText] = useState("");
   const [importError, setImportError] = useState("");
+  const [importAsNewFlow, setImportAsNewFlow] = useState(true);
+  const [importJsonlEntryIndex, setImportJsonlEntryIndex] = useState(0);
   const [layoutMode, setLayoutMode] = useState("vertical");
   const [leftPanelCollapsed, setLeftPanelCollapsed] = useState(false);
   const [rightPanelCollapsed, setRightPanelCollapsed] = useState(false);
 
-  const updateNodeData = useCallback((nodeId, patch) => {
+  const updateNodeData = useCallback((nodeId, patch, coalesceKey) => {
+    recordHistory(coalesceKey ?? `node:${nodeId}:${Object.keys(patch).join(",")}`);
     setNodes((current) =>
       current.map((node) =>
         node.id === nodeId ? { ...node, data: { ...node.data, ...patch } } : node
       )
     );
-  }, [setNodes]);
+  }, [recordHistory, setNodes]);
 
   const updateNodeList = useCallback(
     (nodeId, listItems) => {
       const safeItems = normalizeListItems(listItems);
-      updateNodeData(nodeId, {
-        listItems: safeItems,
-        content: formatNumberedList(safeItems)
-      });
+      recordHistory(`list:${nodeId}`);
+      setNodes((current) =>
+        current.map((node) =>
+          node.id === nodeId
+            ? {
+                ...node,
+                data: { ...node.data, listItems: safeItems, content: formatContent(safeItems, node.data.contentFormat) }
+              }
+            : node
+        )
+      );
+    },
+    [recordHistory, setNodes]
+  );
+
+  const updateNodeFormat = useCallback(
+    (nodeId, contentFormat) => {
+      const node = nodes.find((entry) => entry.id === nodeId);
+      if (!node) {
+        return;
+      }
+      const listItems = convertListItems(
+        normalizeListItems(node.data.listItems, node.data.content, node.data.contentFormat),
+        node.data.contentFormat,
+        contentFormat
+      );
+      updateNodeData(nodeId, { contentFormat, listItems, content: formatContent(listItems, contentFormat) });
+    },
+    [nodes, updateNodeData]
+  );
+
+  const updateNodeAndContent = useCallback(
+    (nodeId, patch, coalesceKey) => {
+      recordHistory(coalesceKey ?? `node:${nodeId}:${Object.keys(patch).join(",")}`);
+      setNodes((current) =>
+        current.map((node) => {
+          if (node.id !== nodeId) {
+            return node;
+          }
+          const data = { ...node.data, ...patch };
+          return { ...node, data: { ...data, content: formatNodeContent(data) } };
+        })
+      );
+    },
+    [recordHistory, setNodes]
+  );
+
+  const updateEdgeBranch = useCallback(
+    (edgeId, patch) => {
+      recordHistory(`edge:${edgeId}:${Object.keys(patch).join(",")}`);
+      setEdges((current) =>
+        current.map((edge) => (edge.id === edgeId ? applyEdgeBranch(edge, patch) : edge))
+      );
     },
-    [updateNodeData]
+    [recordHistory, setEdges]
+  );
+
+  const handleNodesChange = useCallback(
+    (changes) => {
+      if (changes.some((change) => change.type === "remove")) {
+        recordHistory("delete");
+      }
+      onNodesChange(changes);
+    },
+    [recordHistory, onNodesChange]
+  );
+
+  const handleEdgesChange = useCallback(
+    (changes) => {
+      if (changes.some((change) => change.type === "remove")) {
+        recordHistory("delete");
+      }
+      onEdgesChange(changes);
+    },
+    [recordHistory, onEdgesChange]
   );
 
   const onConnect = useCallback(
-    (params) =>
+    (params) => {
+      const sourceNode = nodes.find((node) => node.id === params.source);
+      const edge = {
+        ...params,
+        type: "smoothstep",
+        markerEnd: { type: MarkerType.ArrowClosed }
+      };
+      recordHistory();
       setEdges((current) =>
-        addEdge(
-          {
-            ...params,
-            type: "smoothstep",
-            markerEnd: { type: MarkerType.ArrowClosed }
-          },
-          current
-        )
-      ),
-    [setEdges]
+        addEdge(sourceNode?.data.role === "condition" ? applyEdgeBranch(edge) : edge, current)
+      );
+    },
+    [nodes, recordHistory, setEdges]
   );
 
   const onDragStart = (event, template) => {
@@ -809,113 +1159,418 @@ function FlowDesigner() {
     event.dataTransfer.dropEffect = "move";
   }, []);
 
-  const onDrop = useCallback(
-    (event) => {
-      event.preventDefault();
-      if (!instance) {
-        return;
-      }
-      const raw = event.dataTransfer.getData("application/prompt-node");
-      if (!raw) {
-        return;
-      }
-      const template = JSON.parse(raw);
-      const position = instance.screenToFlowPosition({
-        x: event.clientX,
-        y: event.clientY
-      });
+  const addNodeFromTemplate = useCallback(
+    (template, position) => {
       const id = `n-${Date.now()}`;
+      const isExamples = template.role === "examples";
+      const listItems = isExamples ? [] : Array.isArray(template.items) ? normalizeListItems(template.items) : [];
+      const data = {
+        role: template.role,
+        label: template.label,
+        listItems: listItems.length || isExamples ? listItems : [createListItem("", 1)],
+        ...(template.contentFormat ? { contentFormat: template.contentFormat } : {}),
+        ...(isExamples
+          ? {
+              examples: template.examples?.length
+                ? normalizeExamples(template.examples).map((example) => ({ ...example, id: createExample().id }))
+                : [createExample()],
+              exampleOptions: normalizeExampleOptions(template.exampleOptions)
+            }
+          : {}),
+        ...(template.role === "subflow" ? { subflow: template.subflow ?? { flowId: "" } } : {})
+      };
+      recordHistory();
       setNodes((current) => [
         ...current,
         {
           id,
           type: "promptNode",
           position,
-          data: {
-            role: template.role,
-            label: template.label,
-            listItems: [createListItem("", 1)],
-            content: ""
-          }
+          data: { ...data, content: formatNodeContent(data), order: getNextStepOrder(current) }
         }
       ]);
       setSelectedNodeId(id);
     },
-    [instance, setNodes]
-  );
-
-  const enrichedNodeTypes = useMemo(
-    () => ({
-      promptNode: (props) => (
-        <PromptNode
-          {...props}
-          isSelected={props.id === selectedNodeId}
-          onSelect={() => setSelectedNodeId(props.id)}
-          onChange={(patch) => updateNodeData(props.id, patch)}
-          onListChange={(nextItems) => updateNodeList(props.id, nextItems)}
-        />
-      )
-    }),
-    [selectedNodeId, updateNodeData]
+    [recordHistory, setNodes]
   );
 
-  const promptOutput = useMemo(() => buildPromptOutput(nodes, edges), [nodes, edges]);
-  const selectedNode = nodes.find((n) => n.id === selectedNodeId) ?? null;
+  const onDrop = useCallback(
+    (event) => {
+      event.preventDefault();
+      if (!instance) {
+        return;
+      }
+      const raw = event.dataTransfer.getData("application/prompt-node");
+      if (!raw) {
+        return;
+      }
+      addNodeFromTemplate(JSON.parse(raw), instance.screenToFlowPosition({ x: event.clientX, y: event.clientY }));
+    },
+    [instance, addNodeFromTemplate]
+  );
+
+  const canvasRef = useRef(null);
+
+  const addNodeAtCenter = (role) => {
+    const rect = canvasRef.current?.getBoundingClientRect();
+    if (!instance || !rect) {
+      return;
+    }
+    const center = instance.screenToFlowPosition({ x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 });
+    const template = TEMPLATE_NODES.find((entry) => entry.role === role);
+    addNodeFromTemplate(template, { x: center.x - 120, y: center.y - 50 });
+  };
+
+  const enrichedNodeTypes = useMemo(
+    () => ({
+      promptNode: (props) => (
+        <PromptNode
+          {...props}
+          isSelected={props.id === selectedNodeId}
+          onSelect={() => setSelectedNodeId(props.id)}
+          onChange={(patch) => updateNodeData(props.id, patch)}
+          onListChange={(nextItems) => updateNodeList(props.id, nextItems)}
+          onExamplesChange={(examples) => updateNodeAndContent(props.id, { examples }, `examples:${props.id}`)}
+        />
+      )
+    }),
+    [selectedNodeId, updateNodeData, updateNodeAndContent]
+  );
+
+  const selectedNode = nodes.find((n) => n.id === selectedNodeId) ?? null;
+  const selectedExampleOptions = normalizeExampleOptions(selectedNode?.data.exampleOptions);
+  const updateExampleOptions = (patch) =>
+    updateNodeAndContent(selectedNode.id, { exampleOptions: { ...selectedExampleOptions, ...patch } });
+  // Keyed on the other flows only; the open flow's `updatedAt` changes on every edit.
+  const subflowSourcesKey = library.flows
+    .filter((flow) => flow.id !== library.activeFlowId)
+    .map((flow) => `${flow.id}:${flow.updatedAt}:${flow.name}`)
+    .join("|");
+  const resolveSubflow = useMemo(() => createSubflowResolver(library.flows), [subflowSourcesKey]);
+  const activeFlow = library.flows.find((flow) => flow.id === library.activeFlowId) ?? null;
+  const activeFlowName = activeFlow?.name;
+  const promptOutput = useMemo(
+    () =>
+      buildPromptOutput(nodes, edges, variables, {
+        resolveFlow: resolveSubflow,
+        flowStack: activeFlow ? [{ id: library.activeFlowId, name: activeFlowName }] : [],
+        renderer: promptRenderer
+      }),
+    [nodes, edges, variables, resolveSubflow, library.activeFlowId, activeFlowName, promptRenderer]
+  );
+  const currentGraph = useMemo(() => ({ nodes, edges, variables }), [nodes, edges, variables]);
+  const buildGraphPrompt = useCallback(
+    (graph) =>
+      buildPromptOutput(graph.nodes, graph.edges, graph.variables, {
+        resolveFlow: resolveSubflow,
+        renderer: promptRenderer
+      }).structuredPrompt,
+    [resolveSubflow, promptRenderer]
+  );
+  const detectedVariables = useMemo(() => collectFlowVariables(nodes), [nodes]);
+  const importDataset = useMemo(
+    () => (isImportModalOpen ? parseJsonlDataset(importPromptText.trim()) : null),
+    [isImportModalOpen, importPromptText]
+  );
+  const variableValues = useMemo(() => resolveVariableValues(variables), [variables]);
+  const activeBranchEdgeIds = useMemo(
+    () => new Set(promptOutput.branches.map((branch) => branch.edgeId)),
+    [promptOutput.branches]
+  );
+  const displayEdges = useMemo(
+    () =>
+      edges.map((edge) =>
+        activeBranchEdgeIds.has(edge.id)
+          ? { ...edge, animated: true, className: "active-branch-edge" }
+          : edge
+      ),
+    [edges, activeBranchEdgeIds]
+  );
+  const problems = useMemo(
+    () =>
+      validateFlow({
+        nodes: nodes.map((node) => ({
+          id: node.id,
+          role: node.data.role,
+          label: node.data.label,
+          content: node.data.content
+        })),
+        edges: edges.map((edge) => ({ id: edge.id, from: edge.source, to: edge.target }))
+      })
+        .filter((issue) => issue.code !== "no-nodes")
+        .concat(promptOutput.subflowIssues),
+    [nodes, edges, promptOutput.subflowIssues]
+  );
+  const displayNodes = useMemo(() => {
+    const levels = new Map();
+    problems.forEach((issue) => {
+      (issue.nodeIds ?? (issue.nodeId ? [issue.nodeId] : [])).forEach((id) => {
+        if (levels.get(id) !== "error") {
+          levels.set(id, issue.severity);
+        }
+      });
+    });
+    const previews = new Map(promptOutput.subflows.map((subflow) => [subflow.nodeId, subflow]));
+    const steps = new Map(promptOutput.outline.map((entry) => [entry.id, entry.steps]));
+    const presence = new Map();
+    collaboration.peers.forEach((peer) =>
+      peer.selection.forEach((id) => presence.set(id, [...(presence.get(id) ?? []), peer.user]))
+    );
+    return nodes.map((node) => {
+      let display = node.data.role === "subflow"
+        ? {
+            ...node,
+            data: {
+              ...node.data,
+              subflowPreview: previews.get(node.id) ?? null,
+              subflowSource: describeSubflowSource(node.data.subflow, library.flows)
+            }
+          }
+        : node;
+      if (presence.has(node.id)) {
+        display = { ...display, data: { ...display.data, presence: presence.get(node.id) } };
+      }
+      if (steps.has(node.id)) {
+        display = { ...display, data: { ...display.data, steps: steps.get(node.id) } };
+      }
+      return levels.has(node.id) ? { ...display, className: `problem-${levels.get(node.id)}` } : display;
+    });
+  }, [nodes, problems, promptOutput.subflows, promptOutput.outline, library.flows, collaboration.peers]);
+  const selectedCanvasNodeIds = nodes.filter((node) => node.selected).map((node) => node.id);
+  const selectedEdge = edges.find((edge) => edge.id === selectedEdgeId) ?? null;
+  const selectedEdgeSource = selectedEdge
+    ? nodes.find((node) => node.id === selectedEdge.source) ?? null
+    : null;
+  const selectedBranch = selectedEdge ? getEdgeBranch(selectedEdge) : null;
+  let selectedPredicateError = "";
+  if (selectedBranch && !isFallbackPredicate(selectedBranch.predicate)) {
+    try {
+      evaluatePredicate(selectedBranch.predicate, variableValues);
+    } catch (error) {
+      selectedPredicateError = error.message;
+    }
+  }
+  const selectedNodeBranches =
+    selectedNode?.data.role === "condition"
+      ? edges.filter((edge) => edge.source === selectedNode.id)
+      : [];
+  const selectedNodeActiveBranch = selectedNode
+    ? promptOutput.branches.find((branch) => branch.conditionId === selectedNode.id) ?? null
+    : null;
+
+  const updateVariable = useCallback((name, patch) => {
+    recordHistory(`variable:${name}:${Object.keys(patch).join(",")}`);
+    setVariables((current) => {
+      const exists = current.some((variable) => variable.name === name);
+      const next = exists
+        ? current.map((variable) => (variable.name === name ? { ...variable, ...patch } : variable))
+        : [...current, { name, defaultValue: "", testValue: "", ...patch }];
+      return normalizeVariables(next);
+    });
+  }, [recordHistory]);
+
+  const removeVariable = useCallback((name) => {
+    recordHistory();
+    setVariables((current) => current.filter((variable) => variable.name !== name));
+  }, [recordHistory]);
+
+  const focusNodes = (nodeIds) => {
+    setSelectedNodeId(nodeIds[0]);
+    if (instance) {
+      instance.fitView({
+        nodes: nodeIds.map((id) => ({ id })),
+        padding: 0.4,
+        maxZoom: 1.2,
+        duration: 350
+      });
+    }
+  };
+
+  const reorderStep = (id, targetId) => {
+    const entry = promptOutput.outline.find((item) => item.id === id);
+    const siblingIds = promptOutput.outline.filter((item) => item.parentId === entry?.parentId).map((item) => item.id);
+    if (!entry || !siblingIds.includes(targetId)) {
+      return;
+    }
+    recordHistory();
+    setNodes((current) => reorderSiblings(current, siblingIds, id, targetId));
+  };
+
+  const pinCurrentStepOrder = () => {
+    recordHistory();
+    setNodes((current) => pinStepOrder(current, promptOutput.outline));
+  };
+
+  const focusProblem = (issue) => {
+    if (!issue.nodeId) {
+      return;
+    }
+    focusNodes(issue.nodeIds ?? [issue.nodeId]);
+  };
+
+  const takeSnapshot = () => {
+    const name = `${activeFlow?.name ?? "Flow"} · ${new Date().toLocaleTimeString()}`;
+    setSnapshots((current) => [...current, { id: `snapshot-${Date.now()}`, name, nodes, edges, variables }]);
+  };
+
+  const replaceInNodes = (pattern, replacement, matches, options) => {
+    if (!pattern || !matches.length) {
+      return;
+    }
+    recordHistory();
+    setNodes((current) => replaceMatches(current, pattern, replacement, matches, options));
+  };
+
+  const groupSelectedNodes = () => {
+    if (selectedCanvasNodeIds.length < 2) {
+      return;
+    }
+    const id = `n-${Date.now()}`;
+    const grouped = groupNodesAsSubflow(nodes, edges, selectedCanvasNodeIds, { id, label: "Group" });
+    recordHistory();
+    setNodes(grouped.nodes);
+    setEdges(grouped.edges);
+    setSelectedNodeId(id);
+  };
+
+  const ungroupSelectedNode = () => {
+    const restored = ungroupSubflow(nodes, edges, selectedNodeId);
+    if (!restored) {
+      return;
+    }
+    recordHistory();
+    setNodes(restored.nodes);
+    setEdges(restored.edges);
+    setSelectedNodeId(restored.nodeIds[0] ?? null);
+  };
+
+  const removeNodes = useCallback(
+    (nodeIds) => {
+      const ids = new Set(nodeIds);
+      recordHistory();
+      setNodes((current) => current.filter((n) => !ids.has(n.id)));
+      setEdges((current) => current.filter((e) => !ids.has(e.source) && !ids.has(e.target)));
+      setSelectedNodeId((current) => (ids.has(current) ? null : current));
+    },
+    [recordHistory, setNodes, setEdges]
+  );
 
   const removeSelectedNode = () => {
     if (!selectedNodeId) {
       return;
     }
-    setNodes((current) => current.filter((n) => n.id !== selectedNodeId));
-    setEdges((current) =>
-      current.filter((e) => e.source !== selectedNodeId && e.target !== selectedNodeId)
-    );
-    setSelectedNodeId(null);
+    removeNodes([selectedNodeId]);
   };
 
+  // Repeated pastes of the same clipboard content cascade instead of stacking.
+  const pasteCount = useRef(0);
+
+  const pasteSelection = useCallback(
+    (payload) => {
+      pasteCount.current += 1;
+      const pasted = instantiateSelection(payload, PASTE_OFFSET * pasteCount.current);
+      recordHistory();
+      setNodes((current) => [
+        ...current.map((node) => (node.selected ? { ...node, selected: false } : node)),
+        ...appendStepOrder(pasted.nodes, getNextStepOrder(current))
+      ]);
+      setEdges((current) => [...current, ...pasted.edges]);
+      setSelectedNodeId(pasted.nodes[0]?.id ?? null);
+    },
+    [recordHistory, setNodes, setEdges]
+  );
+
+  const duplicateSelection = useCallback(() => {
+    const ids = getSelectedNodeIds(nodes, selectedNodeId);
+    if (!ids.length) {
+      return;
+    }
+    pasteCount.current = 0;
+    pasteSelection(createSelectionPayload(nodes, edges, ids));
+  }, [nodes, edges, selectedNodeId, pasteSelection]);
+
+  useEffect(() => {
+    const onCopy = (event) => {
+      if (isEditableTarget(event.target) || window.getSelection()?.toString()) {
+        return;
+      }
+      const ids = getSelectedNodeIds(nodes, selectedNodeId);
+      if (!ids.length) {
+        return;
+      }
+      const payload = JSON.stringify(createSelectionPayload(nodes, edges, ids));
+      event.clipboardData.setData(SELECTION_MIME_TYPE, payload);
+      event.clipboardData.setData("text/plain", payload);
+      event.preventDefault();
+      pasteCount.current = 0;
+      if (event.type === "cut") {
+        removeNodes(ids);
+      }
+    };
+    const onPaste = (event) => {
+      if (isEditableTarget(event.target)) {
+        return;
+      }
+      const payload = parseSelectionPayload(
+        event.clipboardData.getData(SELECTION_MIME_TYPE) || event.clipboardData.getData("text/plain")
+      );
+      if (!payload) {
+        return;
+      }
+      event.preventDefault();
+      pasteSelection(payload);
+    };
+    document.addEventListener("copy", onCopy);
+    document.addEventListener("cut", onCopy);
+    document.addEventListener("paste", onPaste);
+    return () => {
+      document.removeEventListener("copy", onCopy);
+      document.removeEventListener("cut", onCopy);
+      document.removeEventListener("paste", onPaste);
+    };
+  }, [nodes, edges, selectedNodeId, removeNodes, pasteSelection]);
+
   const getPromptContent = () =>
     promptOutput.structuredPrompt?.trim() ? promptOutput.structuredPrompt : "No prompt steps yet.";
 
   const copyPromptToClipboard = async () => {
-    const content = getPromptContent();
-    try {
-      await navigator.clipboard.writeText(content);
-      window.alert("Prompt copied to clipboard.");
-    } catch {
-      try {
-        const textarea = document.createElement("textarea");
-        textarea.value = content;
-        textarea.setAttribute("readonly", "");
-        textarea.style.position = "absolute";
-        textarea.style.left = "-9999px";
-        document.body.appendChild(textarea);
-        textarea.select();
-        document.execCommand("copy");
-        document.body.removeChild(textarea);
-        window.alert("Prompt copied to clipboard.");
-      } catch {
-        window.alert("Failed to copy prompt. Please copy it manually.");
-      }
-    }
+    const copied = await copyText(getPromptContent());
+    window.alert(copied ? "Prompt copied to clipboard." : "Failed to copy prompt. Please copy it manually.");
+  };
+
+  const getActiveFlowName = () =>
+    library.flows.find((flow) => flow.id === library.activeFlowId)?.name ?? "Prompt Flow";
+
+  const getFlowFileSlug = () =>
+    getActiveFlowName()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "prompt-flow";
+
+  const downloadFlowAsYaml = () => {
+    const yaml = exportFlowYaml({ name: getActiveFlowName(), nodes, edges, variables, providerConfig });
+    downloadTextFile(yaml, `${getFlowFileSlug()}.yaml`, "application/yaml;charset=utf-8");
+  };
+
+  const downloadFlowAsPrompty = () => {
+    const prompty = exportPrompty({
+      name: getActiveFlowName(),
+      sequence: promptOutput.sequence,
+      variables,
+      providerConfig
+    });
+    downloadTextFile(prompty, `${getFlowFileSlug()}.prompty`, "text/plain;charset=utf-8");
   };
 
   const downloadPromptAsMarkdown = () => {
-    const content = getPromptContent();
-    const markdown = `# Generated Prompt\n\n${content}\n`;
-    const blob = new Blob([markdown], { type: "text/markdown;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = `prompt-flow-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.md`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    const markdown = `# Generated Prompt\n\n${getPromptContent()}\n`;
+    downloadTextFile(markdown, `prompt-flow-${getTimestampSlug()}.md`, "text/markdown;charset=utf-8");
   };
 
   const runAiGeneration = async () => {
-    if (!apiKey.trim()) {
-      setGenerationError("API key is required.");
+    const provider = getProvider(providerConfig.providerId);
+    if (provider.requiresApiKey && !apiKey.trim()) {
+      setGenerationError(`API key is required for ${provider.label}.`);
       return;
     }
     if (!generatorPrompt.trim()) {
@@ -944,41 +1599,14 @@ function FlowDesigner() {
     ].join("\n");
 
     try {
-      const response = await fetch("https://api.openai.com/v1/responses", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey.trim()}`
-        },
-        body: JSON.stringify({
-          model: "gpt-4.1-mini",
-          input: [
-            { role: "system", content: [{ type: "input_text", text: systemInstruction }] },
-            { role: "user", content: [{ type: "input_text", text: generatorPrompt.trim() }] }
-          ],
-          text: {
-            format: {
-              type: "json_schema",
-              name: "prompt_flow_graph",
-              schema: FLOW_SCHEMA,
-              strict: true
-            }
-          }
-        })
+      const { json: parsed } = await requestJsonCompletion(providerConfig, {
+        apiKey,
+        messages: [
+          { role: "system", content: systemInstruction },
+          { role: "user", content: generatorPrompt.trim() }
+        ],
+        schema: { name: "prompt_flow_graph", schema: FLOW_SCHEMA }
       });
-
-      if (!response.ok) {
-        const errText = await response.text();
-        throw new Error(`OpenAI request failed (${response.status}): ${errText}`);
-      }
-
-      const payload = await response.json();
-      const rawText =
-        payload.output_text ||
-        payload.output?.map((item) => item?.content?.map((c) => c?.text || "").join("")).join("") ||
-        "";
-
-      const parsed = extractJsonObject(rawText);
       const validationError = validateGeneratedGraph(parsed);
       if (validationError) {
         throw new Error(validationError);
@@ -991,6 +1619,53 @@ function FlowDesigner() {
     }
   };
 
+  const writeRunReplyToCanvas = (text, targetNodeId) => {
+    if (targetNodeId) {
+      const target = nodes.find((node) => node.id === targetNodeId);
+      updateNodeList(targetNodeId, normalizeListItems([], text, target?.data.contentFormat));
+      setSelectedNodeId(targetNodeId);
+      return;
+    }
+
+    const parsed = parseNodeContent(text);
+    const lastStep = promptOutput.sequence[promptOutput.sequence.length - 1];
+    // Steps inlined from a subflow have ids like `subflowNodeId/innerId`.
+    const lastNode = lastStep ? nodes.find((node) => node.id === lastStep.id.split("/")[0]) : null;
+    const id = `n-${Date.now()}`;
+    recordHistory();
+    setNodes((current) => [
+      ...current,
+      {
+        id,
+        type: "promptNode",
+        position: lastNode
+          ? { x: lastNode.position.x, y: lastNode.position.y + 220 }
+          : { x: 120, y: 100 },
+        data: {
+          role: "assistant",
+          label: "Assistant Reply",
+          ...parsed,
+          content: formatContent(parsed.listItems, parsed.contentFormat),
+          order: getNextStepOrder(current)
+        }
+      }
+    ]);
+    if (lastNode) {
+      setEdges((current) =>
+        addEdge(
+          {
+            source: lastNode.id,
+            target: id,
+            type: "smoothstep",
+            markerEnd: { type: MarkerType.ArrowClosed }
+          },
+          current
+        )
+      );
+    }
+    setSelectedNodeId(id);
+  };
+
   const drawGeneratedFlow = () => {
     if (!generatedGraph) {
       return;
@@ -1001,6 +1676,7 @@ function FlowDesigner() {
       return;
     }
     const { rfNodes, rfEdges } = layoutGraph(generatedGraph);
+    recordHistory();
     setNodes(rfNodes);
     setEdges(rfEdges);
     setSelectedNodeId(rfNodes[0]?.id ?? null);
@@ -1008,42 +1684,319 @@ function FlowDesigner() {
   };
 
   useEffect(() => {
-    try {
-      window.localStorage.setItem(
-        FLOW_STORAGE_KEY,
-        JSON.stringify({
-          nodes,
-          edges,
-          selectedNodeId
-        })
-      );
-    } catch {
-      // Ignore localStorage failures (quota, privacy mode, etc.)
+    saveProviderConfig(providerConfig);
+  }, [providerConfig]);
+
+  useEffect(() => {
+    saveSnippets(snippets);
+  }, [snippets]);
+
+  const saveSelectedNodeAsSnippet = ({ name, tags }) => {
+    if (!selectedNode) {
+      return;
     }
-  }, [nodes, edges, selectedNodeId]);
+    setSnippets((current) => [...current, createSnippet(selectedNode, { name, tags })]);
+  };
 
-  const importPromptToFlow = () => {
-    const shouldContinue = window.confirm(
-      "Importing will replace the current canvas nodes and edges. Do you want to continue?"
+  const deleteSnippet = (snippetId) => {
+    setSnippets((current) => current.filter((snippet) => snippet.id !== snippetId));
+  };
+
+  const importSnippetFile = (text) => {
+    const result = importSnippets(snippets, text);
+    if (result.error) {
+      return result.error;
+    }
+    setSnippets(result.snippets);
+    return `Imported ${result.imported} snippet${result.imported === 1 ? "" : "s"}.`;
+  };
+
+  const downloadSnippets = () => {
+    downloadTextFile(
+      exportSnippets(snippets),
+      `prompt-flow-snippets-${getTimestampSlug()}.json`,
+      "application/json;charset=utf-8"
+    );
+  };
+
+  const activeFlowId = library.activeFlowId;
+
+  useEffect(() => {
+    saveFlowDocument(
+      activeFlowId,
+      createFlowDocument({
+        nodes,
+        edges,
+        variables,
+        selectedNodeId,
+        promptRenderer
+      })
     );
-    if (!shouldContinue) {
+
+    const fingerprint = getFlowFingerprint(nodes, edges, variables);
+    if (savedFingerprint.current.flowId !== activeFlowId) {
+      savedFingerprint.current = { flowId: activeFlowId, value: fingerprint };
       return;
     }
+    if (savedFingerprint.current.value === fingerprint) {
+      return;
+    }
+    savedFingerprint.current.value = fingerprint;
+    const updatedAt = new Date().toISOString();
+    setLibrary((current) => ({
+      ...current,
+      flows: current.flows.map((flow) => (flow.id === activeFlowId ? { ...flow, updatedAt } : flow))
+    }));
+  }, [activeFlowId, nodes, edges, variables, selectedNodeId, promptRenderer]);
+
+  useEffect(() => {
+    saveLibrary(library);
+  }, [library]);
+
+  const loadFlowState = (state) => {
+    setNodes(state.nodes);
+    setEdges(state.edges);
+    setVariables(state.variables);
+    setPromptRenderer(normalizePromptRenderer(state.promptRenderer));
+    setSelectedNodeId(state.selectedNodeId);
+    setSelectedEdgeId(null);
+    setLoadReport(state.loadReport ?? null);
+    clearHistory();
+  };
 
-    const parsed = parsePromptTextToGraph(importPromptText);
-    if (parsed.error) {
-      setImportError(parsed.error);
+  const switchFlow = (flowId) => {
+    if (flowId === activeFlowId) {
       return;
     }
-    const validationError = validateGeneratedGraph(parsed.graph);
-    if (validationError) {
-      setImportError(validationError);
+    setLibrary((current) => ({ ...current, activeFlowId: flowId }));
+    loadFlowState(readStoredFlow(flowId));
+  };
+
+  const createFlow = (name = "Untitled Flow", state = EMPTY_FLOW_STATE) => {
+    const entry = createFlowEntry(getUniqueFlowName(library.flows, name));
+    saveFlowDocument(entry.id, createFlowDocument(state));
+    setLibrary((current) => ({ activeFlowId: entry.id, flows: [entry, ...current.flows] }));
+    loadFlowState(state);
+    return entry.id;
+  };
+
+  const openRoomFlow = (graph, room) => {
+    const confirmed = window.confirm(
+      `Room "${room}" already has a flow with ${graph.nodes.length} nodes. Open it as a new flow in your library?`
+    );
+    if (!confirmed) {
+      return null;
+    }
+    const result = readFlowDocument(
+      createFlowDocument({ ...graph, nodes: graph.nodes.map(materializeNode), selectedNodeId: null })
+    );
+    if (!result.document) {
+      window.alert(`The shared flow could not be opened: ${result.error}`);
+      return null;
+    }
+    return createFlow(room, getFlowStateFromDocument(result.document));
+  };
+
+  useEffect(() => {
+    clearHistory();
+  }, [collaboration.isConnected, clearHistory]);
+
+  const selectionKey = [...new Set([selectedNodeId, ...selectedCanvasNodeIds].filter(Boolean))].join(",");
+  const { updatePresence } = collaboration;
+  useEffect(() => {
+    updatePresence({ selection: selectionKey ? selectionKey.split(",") : [] });
+  }, [selectionKey, updatePresence, collaboration.status]);
+
+  const shareCursor = (event) => {
+    const now = Date.now();
+    if (!collaboration.isConnected || !instance || now - presenceCursorAt.current < 50) {
       return;
     }
-    const { rfNodes, rfEdges } = layoutGraph(parsed.graph);
-    setNodes(rfNodes);
-    setEdges(rfEdges);
-    setSelectedNodeId(rfNodes[0]?.id ?? null);
+    presenceCursorAt.current = now;
+    updatePresence({ cursor: instance.screenToFlowPosition({ x: event.clientX, y: event.clientY }) });
+  };
+
+  useEffect(() => {
+    const readSharedFlow = async () => {
+      if (!hasShareFragment(window.location.hash)) {
+        return;
+      }
+      try {
+        const shared = await readShareFragment(window.location.hash);
+        const result = readFlowDocument(shared.document);
+        setPendingShare(
+          result.document
+            ? { name: shared.name, document: result.document, report: result.report, error: null }
+            : { error: result.error }
+        );
+      } catch (error) {
+        setPendingShare({ error: error.message });
+      }
+    };
+    readSharedFlow();
+    window.addEventListener("hashchange", readSharedFlow);
+    return () => window.removeEventListener("hashchange", readSharedFlow);
+  }, []);
+
+  const dismissSharedFlow = () => {
+    window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+    setPendingShare(null);
+  };
+
+  const openSharedFlow = () => {
+    createFlow(pendingShare.name, getFlowStateFromDocument(pendingShare.document));
+    setLoadReport(getNotableReport(pendingShare.report));
+    dismissSharedFlow();
+  };
+
+  const copyShareLink = async () => {
+    const link = await createShareLink({ name: getActiveFlowName(), nodes, edges, variables, promptRenderer });
+    const size = `${(link.length / 1024).toFixed(1)} KB`;
+    if (
+      link.length > SHARE_LINK_WARNING_LENGTH &&
+      !window.confirm(
+        `This share link is ${size} long. Links over ${SHARE_LINK_WARNING_LENGTH / 1000} KB are often cut off ` +
+          "by chat apps, email clients and some browsers, and a cut-off link cannot be opened. " +
+          "Consider Download Flow (.yaml) instead.\n\nCopy the link anyway?"
+      )
+    ) {
+      return;
+    }
+    const copied = await copyText(link);
+    window.alert(copied ? `Share link copied to clipboard (${size}).` : "Failed to copy the share link.");
+  };
+
+  const duplicateFlow = (flowId) => {
+    const source = library.flows.find((flow) => flow.id === flowId);
+    if (!source) {
+      return;
+    }
+    const state =
+      flowId === activeFlowId
+        ? { nodes, edges, variables, selectedNodeId, promptRenderer }
+        : readStoredFlow(flowId);
+    createFlow(`${source.name} copy`, state);
+  };
+
+  const renameFlow = (flowId, name) => {
+    setLibrary((current) => ({
+      ...current,
+      flows: current.flows.map((flow) =>
+        flow.id === flowId ? { ...flow, name, updatedAt: new Date().toISOString() } : flow
+      )
+    }));
+  };
+
+  const deleteFlow = (flowId) => {
+    const target = library.flows.find((flow) => flow.id === flowId);
+    if (!target || !window.confirm(`Delete flow "${target.name}"? This cannot be undone.`)) {
+      return;
+    }
+    deleteFlowDocument(flowId);
+    deleteRunHistory(flowId);
+    const remaining = library.flows.filter((flow) => flow.id !== flowId);
+    if (!remaining.length) {
+      const entry = createFlowEntry("Untitled Flow");
+      setLibrary({ activeFlowId: entry.id, flows: [entry] });
+      loadFlowState(EMPTY_FLOW_STATE);
+      return;
+    }
+    if (flowId !== activeFlowId) {
+      setLibrary((current) => ({ ...current, flows: remaining }));
+      return;
+    }
+    const next = [...remaining].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+    setLibrary({ activeFlowId: next.id, flows: remaining });
+    loadFlowState(readStoredFlow(next.id));
+  };
+
+  // A different host must be confirmed: the API key is sent to it.
+  const applyImportedProviderConfig = () => {
+    const host = getHost(importedProviderConfig.baseUrl);
+    if (
+      host !== getHost(providerConfig.baseUrl) &&
+      !window.confirm(`These settings send your API key and prompts to ${host}. Use this endpoint?`)
+    ) {
+      return;
+    }
+    setProviderConfig(importedProviderConfig);
+    setImportedProviderConfig(null);
+  };
+
+  const importPromptToFlow = () => {
+    if (!importAsNewFlow) {
+      const shouldContinue = window.confirm(
+        "Importing will replace the current canvas nodes and edges. Do you want to continue?"
+      );
+      if (!shouldContinue) {
+        return;
+      }
+    }
+
+    let imported = null;
+    let importReport = null;
+    let importedName = "Imported Flow";
+    const directJson = extractJsonObject(importPromptText.trim());
+    let flowFile = null;
+    if (!isFlowDocument(directJson)) {
+      try {
+        flowFile = isPromptyText(importPromptText) ? parsePrompty(importPromptText) : parseFlowYaml(importPromptText);
+      } catch (error) {
+        setImportError(error.message);
+        return;
+      }
+    }
+
+    if (isFlowDocument(directJson) || flowFile) {
+      const result = readFlowDocument(flowFile ? flowFile.document : directJson);
+      if (!result.document) {
+        setImportError(result.error);
+        return;
+      }
+      imported = getFlowStateFromDocument(result.document);
+      importReport = getNotableReport(result.report);
+      if (flowFile?.name) {
+        importedName = flowFile.name;
+      }
+      setImportedProviderConfig(flowFile?.providerConfig ?? null);
+    } else {
+      const parsed = parsePromptTextToGraph(importPromptText, { jsonlEntryIndex: importJsonlEntryIndex });
+      if (parsed.error) {
+        setImportError(parsed.error);
+        return;
+      }
+      if (Number(parsed.graph.schemaVersion) > FLOW_DOCUMENT_VERSION) {
+        setImportError(
+          `Flow uses schema version ${parsed.graph.schemaVersion}, but this app only supports up to ${FLOW_DOCUMENT_VERSION}.`
+        );
+        return;
+      }
+      const validationError = validateGeneratedGraph(parsed.graph);
+      if (validationError) {
+        setImportError(validationError);
+        return;
+      }
+      const { rfNodes, rfEdges } = layoutGraph(parsed.graph);
+      imported = {
+        nodes: rfNodes,
+        edges: rfEdges,
+        variables: Array.isArray(parsed.graph.variables)
+          ? normalizeVariables(parsed.graph.variables)
+          : variables,
+        selectedNodeId: rfNodes[0]?.id ?? null
+      };
+    }
+
+    if (importAsNewFlow) {
+      createFlow(importedName, imported);
+    } else {
+      recordHistory();
+      setNodes(imported.nodes);
+      setEdges(imported.edges);
+      setVariables(imported.variables);
+      setSelectedNodeId(imported.selectedNodeId);
+    }
+    setLoadReport(importReport);
     setImportError("");
     setIsImportModalOpen(false);
   };
@@ -1054,9 +2007,11 @@ function FlowDesigner() {
       return;
     }
 
-    const isMarkdown = /\.md$/i.test(file.name) || file.type === "text/markdown" || file.type === "text/plain";
-    if (!isMarkdown) {
-      setImportError("Please upload a valid .md file.");
+    const isSupported =
+      /\.(md|json|jsonl|ya?ml|prompty)$/i.test(file.name) ||
+      ["text/markdown", "text/plain", "application/json", "application/yaml", "text/yaml"].includes(file.type);
+    if (!isSupported) {
+      setImportError("Please upload a valid .md, .json, .jsonl, .yaml or .prompty file.");
       event.target.value = "";
       return;
     }
@@ -1064,6 +2019,7 @@ function FlowDesigner() {
     try {
       const text = await file.text();
       setImportPromptText(text);
+      setImportJsonlEntryIndex(0);
       setImportError("");
     } catch {
       setImportError("Failed to read file content.");
@@ -1074,23 +2030,126 @@ function FlowDesigner() {
 
   const resetAllNodes = () => {
     const shouldReset = window.confirm(
-      "Are you sure you want to delete all nodes and edges? This action cannot be undone."
+      "Are you sure you want to delete all nodes and edges? You can restore them with Undo (Ctrl+Z)."
     );
     if (!shouldReset) {
       return;
     }
+    recordHistory();
     setNodes([]);
     setEdges([]);
+    setVariables([]);
     setSelectedNodeId(null);
   };
 
-  const applyLayout = () => {
-    setNodes((current) => autoLayoutNodes(current, edges, layoutMode));
+  const applyLayout = (mode = layoutMode) => {
+    recordHistory();
+    setLayoutMode(mode);
+    setNodes((current) => autoLayoutNodes(current, edges, mode));
     if (instance) {
       setTimeout(() => instance.fitView({ padding: 0.2, duration: 350 }), 0);
     }
   };
 
+  const openImportModal = () => {
+    setImportError("");
+    setIsImportModalOpen(true);
+  };
+
+  const deleteSelectedNodes = () => {
+    const ids = getSelectedNodeIds(nodes, selectedNodeId);
+    if (ids.length) {
+      removeNodes(ids);
+    }
+  };
+
+  // `global` commands also fire while typing in a text field.
+  const commands = [
+    {
+      id: "palette.open",
+      group: "General",
+      title: "Open Command Palette",
+      run: () => setIsPaletteOpen(true),
+      global: true
+    },
+    { id: "shortcuts.open", group: "General", title: "Keyboard Shortcuts", run: () => setIsShortcutsOpen(true) },
+    { id: "edit.undo", group: "Edit", title: "Undo", run: undo, disabled: !canUndo },
+    { id: "edit.redo", group: "Edit", title: "Redo", run: redo, disabled: !canRedo },
+    { id: "edit.find", group: "Edit", title: "Find & Replace", run: () => setIsFindOpen(true) },
+    ...TEMPLATE_NODES.map((template) => ({
+      id: `node.add.${template.role}`,
+      group: "Nodes",
+      title: `Add ${template.label} Node`,
+      run: () => addNodeAtCenter(template.role)
+    })),
+    { id: "node.duplicate", group: "Nodes", title: "Duplicate Selection", run: duplicateSelection },
+    { id: "node.delete", group: "Nodes", title: "Delete Selected Nodes", run: deleteSelectedNodes },
+    {
+      id: "node.group",
+      group: "Nodes",
+      title: "Group Selection as Subflow",
+      run: groupSelectedNodes,
+      disabled: selectedCanvasNodeIds.length < 2
+    },
+    { id: "layout.apply", group: "Layout", title: "Apply Current Layout", run: () => applyLayout() },
+    { id: "layout.vertical", group: "Layout", title: "Apply Vertical Layout", run: () => applyLayout("vertical") },
+    {
+      id: "layout.horizontal",
+      group: "Layout",
+      title: "Apply Horizontal Layout",
+      run: () => applyLayout("horizontal")
+    },
+    { id: "layout.grid", group: "Layout", title: "Apply Grid Layout", run: () => applyLayout("grid") },
+    {
+      id: "panel.left",
+      group: "Panels",
+      title: "Toggle Left Menu",
+      run: () => setLeftPanelCollapsed((value) => !value)
+    },
+    {
+      id: "panel.right",
+      group: "Panels",
+      title: "Toggle Right Menu",
+      run: () => setRightPanelCollapsed((value) => !value)
+    },
+    { id: "flow.generate", group: "Flow", title: "Open AI Flow Generator", run: () => setIsAiModalOpen(true) },
+    { id: "flow.import", group: "Flow", title: "Import Prompt To Nodes", run: openImportModal },
+    { id: "flow.compare", group: "Flow", title: "Compare Flows", run: () => setIsDiffOpen(true) },
+    { id: "flow.run", group: "Flow", title: "Run Flow", run: () => setIsRunModalOpen(true) },
+    { id: "flow.reset", group: "Flow", title: "Reset All Nodes", run: resetAllNodes },
+    { id: "export.copyPrompt", group: "Export", title: "Copy Prompt", run: copyPromptToClipboard },
+    { id: "export.downloadPrompt", group: "Export", title: "Download Prompt (.md)", run: downloadPromptAsMarkdown },
+    { id: "export.downloadYaml", group: "Export", title: "Download Flow (.yaml)", run: downloadFlowAsYaml },
+    { id: "export.downloadPrompty", group: "Export", title: "Download .prompty", run: downloadFlowAsPrompty },
+    { id: "export.shareLink", group: "Export", title: "Copy Share Link", run: copyShareLink }
+  ];
+  const commandsRef = useRef(commands);
+  commandsRef.current = commands;
+  const shortcutLabel = (id) => formatBindings(shortcutBindings[id]);
+
+  useEffect(() => {
+    saveShortcutBindings(shortcutBindings);
+  }, [shortcutBindings]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.target instanceof Element && event.target.closest(".modal-card")) {
+        return;
+      }
+      const binding = eventToBinding(event);
+      const command = commandsRef.current.find(
+        (entry) => entry.id === findCommandForBinding(shortcutBindings, binding)
+      );
+      if (!binding || !command || command.disabled || (!command.global && isEditableTarget(event.target))) {
+        return;
+      }
+      event.preventDefault();
+      command.run();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [shortcutBindings]);
+
   return (
     <div
       className={`layout ${leftPanelCollapsed ? "left-collapsed" : ""} ${rightPanelCollapsed ? "right-collapsed" : ""}`.trim()}
@@ -1102,19 +2161,95 @@ function FlowDesigner() {
         <button type="button" className="open-ai-btn" onClick={() => setLeftPanelCollapsed(true)}>
           Collapse Left Menu
         </button>
+        <FlowLibraryPanel
+          flows={library.flows}
+          activeFlowId={activeFlowId}
+          onCreate={() => createFlow()}
+          onDuplicate={duplicateFlow}
+          onDelete={deleteFlow}
+          onRename={renameFlow}
+          onSwitch={switchFlow}
+        />
+        {loadReport ? (
+          <div className="load-report">
+            <p className="warning-text">
+              {loadReport.error || "This flow was repaired while loading:"}
+            </p>
+            {loadReport.entries.length ? (
+              <ul>
+                {loadReport.entries.map((entry, index) => (
+                  <li key={index} className={`load-report-${entry.level}`}>
+                    <strong>{entry.level}</strong> {entry.message}
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+            <button type="button" className="open-ai-btn" onClick={() => setLoadReport(null)}>
+              Dismiss
+            </button>
+          </div>
+        ) : null}
+        {importedProviderConfig ? (
+          <div className="load-report">
+            <p className="warning-text">The imported file includes model settings. They have not been applied.</p>
+            <ul>
+              <li>
+                <strong>provider</strong> {getProvider(importedProviderConfig.providerId).label}
+              </li>
+              <li>
+                <strong>model</strong> {importedProviderConfig.model}
+              </li>
+              <li>
+                <strong>endpoint</strong> {importedProviderConfig.baseUrl}
+              </li>
+              <li>
+                <strong>sampling</strong> temperature {importedProviderConfig.temperature}, top_p{" "}
+                {importedProviderConfig.topP}, max tokens {importedProviderConfig.maxTokens}
+              </li>
+            </ul>
+            <div className="modal-actions">
+              <button type="button" className="open-ai-btn" onClick={applyImportedProviderConfig}>
+                Apply Model Settings
+              </button>
+              <button type="button" className="open-ai-btn" onClick={() => setImportedProviderConfig(null)}>
+                Dismiss
+              </button>
+            </div>
+          </div>
+        ) : null}
         <button type="button" className="open-ai-btn" onClick={() => setIsAiModalOpen(true)}>
           Open AI Flow Generator
         </button>
         <button
           type="button"
           className="open-ai-btn"
-          onClick={() => {
-            setImportError("");
-            setIsImportModalOpen(true);
-          }}
+          onClick={openImportModal}
         >
           Import Prompt To Nodes
         </button>
+        <button type="button" className="open-ai-btn" onClick={() => setIsDiffOpen(true)}>
+          Compare Flows
+        </button>
+        <div className="modal-actions">
+          <button
+            type="button"
+            className="open-ai-btn"
+            onClick={undo}
+            disabled={!canUndo}
+            title={`Undo (${shortcutLabel("edit.undo")})`}
+          >
+            Undo
+          </button>
+          <button
+            type="button"
+            className="open-ai-btn"
+            onClick={redo}
+            disabled={!canRedo}
+            title={`Redo (${shortcutLabel("edit.redo")})`}
+          >
+            Redo
+          </button>
+        </div>
         <button type="button" className="danger reset-all-btn" onClick={resetAllNodes}>
           Reset All Nodes
         </button>
@@ -1128,7 +2263,7 @@ function FlowDesigner() {
               <option value="grid">Grid</option>
             </select>
           </label>
-          <button type="button" className="open-ai-btn" onClick={applyLayout}>
+          <button type="button" className="open-ai-btn" onClick={() => applyLayout()}>
             Apply Layout
           </button>
         </div>
@@ -1146,9 +2281,23 @@ function FlowDesigner() {
             </button>
           ))}
         </div>
+        <SnippetsPanel
+          snippets={snippets}
+          selectedNode={selectedNode}
+          onSave={saveSelectedNodeAsSnippet}
+          onDelete={deleteSnippet}
+          onImport={importSnippetFile}
+          onExport={downloadSnippets}
+          onDragStart={onDragStart}
+        />
 
         <div className="node-editor">
           <h2>Selected Node</h2>
+          {selectedCanvasNodeIds.length > 1 ? (
+            <button type="button" className="open-ai-btn" onClick={groupSelectedNodes}>
+              Group {selectedCanvasNodeIds.length} Nodes as Subflow
+            </button>
+          ) : null}
           {selectedNode ? (
             <>
               <label>
@@ -1165,7 +2314,12 @@ function FlowDesigner() {
                 <select
                   value={selectedNode.data.role}
                   onChange={(event) =>
-                    updateNodeData(selectedNode.id, { role: event.target.value })
+                    updateNodeAndContent(selectedNode.id, {
+                      role: event.target.value,
+                      ...(event.target.value === "examples" && !selectedNode.data.examples?.length
+                        ? { examples: [createExample()] }
+                        : {})
+                    })
                   }
                 >
                   {TEMPLATE_NODES.map((nodeType) => (
@@ -1175,10 +2329,129 @@ function FlowDesigner() {
                   ))}
                 </select>
               </label>
-              <label>
-                Content
-                <p className="subtle">Edit numbered items directly inside the node on the canvas.</p>
-              </label>
+              {selectedNode.data.role === "condition" ? (
+                <label>
+                  Active Branch
+                  <select
+                    value={selectedNode.data.activeBranch || "auto"}
+                    onChange={(event) =>
+                      updateNodeData(selectedNode.id, { activeBranch: event.target.value })
+                    }
+                  >
+                    <option value="auto">Auto (evaluate predicates with variable values)</option>
+                    {selectedNodeBranches.map((edge) => (
+                      <option key={edge.id} value={edge.id}>
+                        {describeBranch(edge)}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="field-hint">
+                    {selectedNodeActiveBranch
+                      ? `Following: ${selectedNodeActiveBranch.branch}`
+                      : "Connect outgoing edges to define branches."}
+                  </span>
+                </label>
+              ) : null}
+              {selectedNode.data.role === "subflow" ? (
+                isSubflowGroup(selectedNode.data.subflow) ? (
+                  <>
+                    <p className="subtle">
+                      {describeSubflowSource(selectedNode.data.subflow)}, inlined in order when the prompt is generated.
+                    </p>
+                    <button type="button" className="open-ai-btn" onClick={ungroupSelectedNode}>
+                      Ungroup onto Canvas
+                    </button>
+                  </>
+                ) : (
+                  <label>
+                    Source Flow
+                    <select
+                      value={selectedNode.data.subflow?.flowId ?? ""}
+                      onChange={(event) =>
+                        updateNodeData(selectedNode.id, { subflow: { flowId: event.target.value } })
+                      }
+                    >
+                      <option value="">Select a saved flow</option>
+                      {library.flows
+                        .filter((flow) => flow.id !== library.activeFlowId)
+                        .map((flow) => (
+                          <option key={flow.id} value={flow.id}>
+                            {flow.name}
+                          </option>
+                        ))}
+                    </select>
+                    <span className="field-hint">The referenced flow is inlined recursively in the generated prompt.</span>
+                  </label>
+                )
+              ) : selectedNode.data.role === "examples" ? (
+                <>
+                  <p className="subtle">
+                    Edit the input/output pairs inside the node. Chat exports send them as alternating user and
+                    assistant turns; the text prompt gets a numbered examples block.
+                  </p>
+                  <div className="example-options">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={selectedExampleOptions.shuffle}
+                        onChange={(event) =>
+                          updateExampleOptions({
+                            shuffle: event.target.checked,
+                            ...(event.target.checked ? { seed: createShuffleSeed() } : {})
+                          })
+                        }
+                      />
+                      Shuffle examples
+                    </label>
+                    {selectedExampleOptions.shuffle ? (
+                      <button
+                        type="button"
+                        className="node-list-add"
+                        onClick={() => updateExampleOptions({ seed: createShuffleSeed() })}
+                      >
+                        Reshuffle
+                      </button>
+                    ) : null}
+                  </div>
+                  <label>
+                    Max Examples
+                    <input
+                      type="number"
+                      min="0"
+                      value={selectedExampleOptions.limit || ""}
+                      placeholder="All"
+                      onChange={(event) =>
+                        updateExampleOptions({ limit: Math.max(0, Math.floor(Number(event.target.value) || 0)) })
+                      }
+                    />
+                    <span className="field-hint">
+                      Emitting {selectExamples(selectedNode.data.examples, selectedExampleOptions).length} of{" "}
+                      {selectedNode.data.examples?.length ?? 0} pairs.
+                    </span>
+                  </label>
+                </>
+              ) : (
+                <label>
+                  Content Format
+                  <select
+                    value={normalizeContentFormat(selectedNode.data.contentFormat)}
+                    onChange={(event) => updateNodeFormat(selectedNode.id, event.target.value)}
+                  >
+                    {CONTENT_FORMATS.map((format) => (
+                      <option key={format} value={format}>
+                        {CONTENT_FORMAT_LABELS[format]}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="field-hint">
+                    {CONTENT_FORMAT_HINTS[normalizeContentFormat(selectedNode.data.contentFormat)]} Edit the text
+                    inside the node on the canvas.
+                  </span>
+                </label>
+              )}
+              <button type="button" className="open-ai-btn" onClick={duplicateSelection}>
+                Duplicate{shortcutLabel("node.duplicate") ? ` (${shortcutLabel("node.duplicate")})` : ""}
+              </button>
               <button type="button" className="danger" onClick={removeSelectedNode}>
                 Delete Node
               </button>
@@ -1187,29 +2460,79 @@ function FlowDesigner() {
             <p className="subtle">Click a node to edit it.</p>
           )}
         </div>
+
+        {selectedEdge && selectedEdgeSource?.data.role === "condition" ? (
+          <div className="node-editor">
+            <h2>Selected Branch</h2>
+            <p className="subtle">
+              From <strong>{selectedEdgeSource.data.label || selectedEdgeSource.id}</strong>. Use a predicate
+              such as <code>tier == "enterprise"</code>, or <code>else</code> for the fallback branch.
+            </p>
+            <label>
+              Label
+              <input
+                value={selectedBranch.label}
+                onChange={(event) => updateEdgeBranch(selectedEdge.id, { label: event.target.value })}
+              />
+            </label>
+            <label>
+              Predicate
+              <input
+                value={selectedBranch.predicate}
+                placeholder='tier == "enterprise"'
+                onChange={(event) => updateEdgeBranch(selectedEdge.id, { predicate: event.target.value })}
+              />
+            </label>
+            {selectedPredicateError ? <p className="error-text">{selectedPredicateError}</p> : null}
+          </div>
+        ) : null}
+
+        <VariablesPanel
+          detected={detectedVariables}
+          variables={variables}
+          onChange={updateVariable}
+          onRemove={removeVariable}
+        />
         </aside>
       ) : null}
 
-      <main className="canvas-panel">
+      <main className="canvas-panel" ref={canvasRef}>
         <ReactFlow
-          nodes={nodes}
-          edges={edges}
+          nodes={displayNodes}
+          edges={displayEdges}
           nodeTypes={enrichedNodeTypes || nodeTypes}
-          onNodesChange={onNodesChange}
-          onEdgesChange={onEdgesChange}
+          onNodesChange={handleNodesChange}
+          onEdgesChange={handleEdgesChange}
+          onNodeDragStart={() => recordHistory()}
+          onSelectionDragStart={() => recordHistory()}
           onConnect={onConnect}
           onInit={setInstance}
           onDrop={onDrop}
           onDragOver={onDragOver}
           onNodeClick={(_, node) => setSelectedNodeId(node.id)}
+          onEdgeClick={(_, edge) => setSelectedEdgeId(edge.id)}
+          onPaneClick={() => setSelectedEdgeId(null)}
+          onMouseMove={shareCursor}
+          onMouseLeave={() => updatePresence({ cursor: null })}
           fitView
         >
           <Background gap={20} size={1} color="rgba(0, 0, 0, 0.12)" />
           <MiniMap pannable zoomable />
           <Controls />
+          <PresenceCursors peers={collaboration.peers} />
           <Panel position="top-right" className="flow-help">
             Drop new nodes from the left panel
           </Panel>
+          {isFindOpen ? (
+            <Panel position="top-center">
+              <FindReplacePanel
+                nodes={nodes}
+                onFocusMatch={(match) => focusNodes([match.nodeId])}
+                onReplace={replaceInNodes}
+                onClose={() => setIsFindOpen(false)}
+              />
+            </Panel>
+          ) : null}
           <Panel position="top-left" className="flow-help panel-toggle-group">
             <button
               type="button"
@@ -1225,6 +2548,30 @@ function FlowDesigner() {
             >
               {rightPanelCollapsed ? "Show Right Menu" : "Hide Right Menu"}
             </button>
+            <button
+              type="button"
+              className="panel-toggle-btn"
+              onClick={() => setIsFindOpen((current) => !current)}
+              title={`Find & Replace (${shortcutLabel("edit.find")})`}
+            >
+              Find &amp; Replace
+            </button>
+            <button
+              type="button"
+              className="panel-toggle-btn"
+              onClick={() => setIsPaletteOpen(true)}
+              title={`Command Palette (${shortcutLabel("palette.open")})`}
+            >
+              Commands
+            </button>
+            <button
+              type="button"
+              className="panel-toggle-btn"
+              onClick={() => setIsShortcutsOpen(true)}
+              title={`Keyboard Shortcuts (${shortcutLabel("shortcuts.open")})`}
+            >
+              Shortcuts
+            </button>
           </Panel>
         </ReactFlow>
       </main>
@@ -1234,8 +2581,11 @@ function FlowDesigner() {
         <button type="button" className="open-ai-btn" onClick={() => setRightPanelCollapsed(true)}>
           Collapse Right Menu
         </button>
+        <ProblemsPanel issues={problems} onSelectIssue={focusProblem} />
         <h2>Generated Prompt</h2>
-        <p className="subtle">Derived from graph connectivity and node order.</p>
+        <p className="subtle">
+          Derived from graph connectivity and node order. Condition nodes route to their active branch.
+        </p>
         <div className="modal-actions">
           <button type="button" className="export-btn" onClick={copyPromptToClipboard}>
             Copy Prompt
@@ -1244,9 +2594,98 @@ function FlowDesigner() {
             Download Prompt (.md)
           </button>
         </div>
+        <label className="prompt-view-select">
+          Renderer
+          <select
+            value={promptRenderer.id}
+            onChange={(event) => setPromptRenderer((current) => ({ ...current, id: event.target.value }))}
+          >
+            {PROMPT_RENDERERS.map((renderer) => (
+              <option key={renderer.id} value={renderer.id}>
+                {renderer.label}
+              </option>
+            ))}
+          </select>
+          <span className="field-hint">Used by the preview, Copy Prompt and Download (.md); saved with this flow.</span>
+        </label>
+        {promptRenderer.id === "custom" ? (
+          <label className="prompt-view-select">
+            Step Template
+            <textarea
+              rows={4}
+              value={promptRenderer.template}
+              onChange={(event) => setPromptRenderer((current) => ({ ...current, template: event.target.value }))}
+            />
+            <span className="field-hint">
+              Repeated for each step and joined with blank lines. Placeholders:{" "}
+              {TEMPLATE_PLACEHOLDERS.map((name) => `{{${name}}}`).join(", ")}.
+            </span>
+          </label>
+        ) : null}
+        <label className="prompt-view-select">
+          View
+          <select value={promptView} onChange={(event) => setPromptView(event.target.value)}>
+            <option value="rendered">Rendered (variables substituted)</option>
+            <option value="template">Template (raw placeholders)</option>
+          </select>
+        </label>
+        {promptOutput.unresolvedVariables.length ? (
+          <p className="warning-text">
+            Unresolved variables:{" "}
+            {promptOutput.unresolvedVariables.map((name) => `{{${name}}}`).join(", ")}
+          </p>
+        ) : null}
         <pre style={{ maxHeight: "400px", overflow: "auto" }}>
-          {promptOutput.structuredPrompt || "No prompt steps yet."}
+          {(promptView === "template" ? promptOutput.templatePrompt : promptOutput.structuredPrompt) ||
+            "No prompt steps yet."}
         </pre>
+        {promptOutput.branches.length ? (
+          <p className="subtle">
+            Active path:{" "}
+            {promptOutput.branches
+              .map((branch) => `${branch.conditionLabel || branch.conditionId} → ${branch.branch}`)
+              .join(", ")}
+          </p>
+        ) : null}
+        <SequenceOutline
+          outline={promptOutput.outline}
+          onReorder={reorderStep}
+          onPin={pinCurrentStepOrder}
+          onFocusNode={(nodeId) => focusNodes([nodeId])}
+        />
+        {promptOutput.paths.length ? (
+          <>
+            <h3>All Paths ({promptOutput.paths.length})</h3>
+            {promptOutput.paths.map((path) => (
+              <details key={path.index} className="prompt-path">
+                <summary>
+                  Path {path.index}:{" "}
+                  {path.branches.map((branch) => branch.branch).join(" → ") || "no branches"}
+                </summary>
+                <pre style={{ maxHeight: "400px", overflow: "auto" }}>
+                  {path.structuredPrompt || "No prompt steps on this path."}
+                </pre>
+              </details>
+            ))}
+          </>
+        ) : null}
+        <button type="button" className="open-ai-btn" onClick={() => setIsRunModalOpen(true)}>
+          Run Flow
+        </button>
+        <div className="modal-actions">
+          <button type="button" className="open-ai-btn" onClick={downloadFlowAsYaml}>
+            Download Flow (.yaml)
+          </button>
+          <button type="button" className="open-ai-btn" onClick={downloadFlowAsPrompty}>
+            Download .prompty
+          </button>
+        </div>
+        <button type="button" className="open-ai-btn" onClick={copyShareLink}>
+          Copy Share Link
+        </button>
+        <CollaborationPanel collaboration={collaboration} />
+        <TokenBudget prompt={promptOutput.structuredPrompt} />
+        <ExportPanel sequence={promptOutput.sequence} />
         <h3>Structured JSON</h3>
         <pre style={{ maxHeight: "400px", overflow: "auto" }}>
           {JSON.stringify(promptOutput.graph, null, 2)}
@@ -1257,17 +2696,17 @@ function FlowDesigner() {
       {isAiModalOpen ? (
         <div className="modal-backdrop" onClick={() => setIsAiModalOpen(false)}>
           <div className="modal-card" onClick={(event) => event.stopPropagation()}>
-            <h2>ChatGPT API Flow Generator</h2>
-            <p className="subtle">Set your API key, describe the desired flow, generate JSON, then draw it.</p>
-            <label>
-              OpenAI API Key
-              <input
-                type="password"
-                value={apiKey}
-                onChange={(event) => setApiKey(event.target.value)}
-                placeholder="sk-..."
-              />
-            </label>
+            <h2>AI Flow Generator</h2>
+            <p className="subtle">
+              Choose a provider (or any OpenAI-compatible endpoint such as a local Ollama), describe the desired
+              flow, generate JSON, then draw it.
+            </p>
+            <ProviderSettings
+              config={providerConfig}
+              onChange={setProviderConfig}
+              apiKey={apiKey}
+              onApiKeyChange={setApiKey}
+            />
             <label>
               Generation Prompt
               <textarea
@@ -1300,6 +2739,80 @@ function FlowDesigner() {
         </div>
       ) : null}
 
+      {isRunModalOpen ? (
+        <RunFlowModal
+          key={activeFlowId}
+          flowId={activeFlowId}
+          sequence={promptOutput.sequence}
+          assistantNodes={nodes.filter((node) => node.data.role === "assistant")}
+          providerConfig={providerConfig}
+          onProviderConfigChange={setProviderConfig}
+          apiKey={apiKey}
+          onApiKeyChange={setApiKey}
+          onWriteReply={writeRunReplyToCanvas}
+          onClose={() => setIsRunModalOpen(false)}
+        />
+      ) : null}
+
+      {isPaletteOpen ? (
+        <CommandPalette
+          commands={commands}
+          nodes={nodes}
+          bindings={shortcutBindings}
+          onFocusNode={(nodeId) => focusNodes([nodeId])}
+          onClose={() => setIsPaletteOpen(false)}
+        />
+      ) : null}
+
+      {isShortcutsOpen ? (
+        <ShortcutsModal
+          commands={commands}
+          bindings={shortcutBindings}
+          onChange={setShortcutBindings}
+          onClose={() => setIsShortcutsOpen(false)}
+        />
+      ) : null}
+
+      {pendingShare ? (
+        <div className="modal-backdrop" onClick={dismissSharedFlow}>
+          <div className="modal-card" onClick={(event) => event.stopPropagation()}>
+            <h2>Open Shared Flow</h2>
+            {pendingShare.error ? (
+              <p className="error-text">{pendingShare.error}</p>
+            ) : (
+              <p className="subtle">
+                This link contains <strong>{pendingShare.name}</strong> with {pendingShare.document.nodes.length} nodes
+                and {pendingShare.document.edges.length} edges. Opening it adds a new flow to your library; your
+                existing flows are not changed.
+              </p>
+            )}
+            <div className="modal-actions">
+              {!pendingShare.error ? (
+                <button type="button" className="export-btn" onClick={openSharedFlow}>
+                  Open as New Flow
+                </button>
+              ) : null}
+              <button type="button" className="open-ai-btn" onClick={dismissSharedFlow}>
+                Dismiss
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      {isDiffOpen ? (
+        <FlowDiffModal
+          current={currentGraph}
+          flows={library.flows}
+          activeFlowId={activeFlowId}
+          loadFlow={resolveSubflow}
+          snapshots={snapshots}
+          onTakeSnapshot={takeSnapshot}
+          buildPrompt={buildGraphPrompt}
+          onClose={() => setIsDiffOpen(false)}
+        />
+      ) : null}
+
       {isImportModalOpen ? (
         <div className="modal-backdrop" onClick={() => setIsImportModalOpen(false)}>
           <div className="modal-card" onClick={(event) => event.stopPropagation()}>
@@ -1307,21 +2820,53 @@ function FlowDesigner() {
             <p className="subtle">
               Paste prompt text. Supported formats: <code>[1] SYSTEM ...</code> blocks or
               <code>system: ...</code> lines, roadmap outlines like <code>Project Setup</code> + <code>1.1 ...</code>,
-              parent-child format <code>[1] SYSTEM</code> + <code>1.1 ...</code>, and JSON graph format with <code>nodes</code>/<code>edges</code>.
+              parent-child format <code>[1] SYSTEM</code> + <code>1.1 ...</code>, JSON graph format with <code>nodes</code>/<code>edges</code>,
+              OpenAI <code>messages</code> arrays or payloads, Anthropic Messages payloads (with <code>system</code>), JSONL
+              fine-tuning datasets, YAML flow documents and <code>.prompty</code> files.
             </p>
             <label>
-              Upload Markdown (.md)
-              <input type="file" accept=".md,text/markdown,text/plain" onChange={onImportFileSelected} />
+              Upload File (.md, .json, .jsonl, .yaml, .prompty)
+              <input
+                type="file"
+                accept=".md,.json,.jsonl,.yaml,.yml,.prompty,text/markdown,text/plain,application/json,application/yaml"
+                onChange={onImportFileSelected}
+              />
             </label>
             <label>
               Prompt Text
               <textarea
                 rows={12}
                 value={importPromptText}
-                onChange={(event) => setImportPromptText(event.target.value)}
+                onChange={(event) => {
+                  setImportPromptText(event.target.value);
+                  setImportJsonlEntryIndex(0);
+                }}
                 placeholder={"Project Setup\n1.1 Initialize Vite + React + TypeScript.\n1.2 Install dependencies."}
               />
             </label>
+            {importDataset ? (
+              <label>
+                Dataset Line ({importDataset.entries.length} conversations)
+                <select
+                  value={importJsonlEntryIndex}
+                  onChange={(event) => setImportJsonlEntryIndex(Number(event.target.value))}
+                >
+                  {importDataset.entries.map((entry, index) => (
+                    <option key={entry.lineNumber} value={index}>
+                      Line {entry.lineNumber}: {entry.messages.length} messages · {entry.preview}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ) : null}
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={importAsNewFlow}
+                onChange={(event) => setImportAsNewFlow(event.target.checked)}
+              />
+              Import into a new flow (keeps the current flow untouched)
+            </label>
             <div className="modal-actions">
               <button type="button" className="export-btn" onClick={importPromptToFlow}>
                 Import and Draw Flow
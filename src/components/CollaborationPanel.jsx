@@ -0,0 +1,87 @@
+import { useState } from "react";
+import { loadCollaborationSettings, saveCollaborationSettings } from "../lib/collaboration";
+
+const STATUS_LABELS = {
+  connecting: "Connecting…",
+  connected: "Live",
+  reconnecting: "Reconnecting…"
+};
+
+export default function CollaborationPanel({ collaboration }) {
+  const [settings, setSettings] = useState(loadCollaborationSettings);
+  const { status, room, peers, error } = collaboration;
+
+  const updateSetting = (key, value) => setSettings((current) => ({ ...current, [key]: value }));
+
+  const join = () => {
+    const next = { ...settings, serverUrl: settings.serverUrl.trim(), room: settings.room.trim() };
+    saveCollaborationSettings(next);
+    setSettings(next);
+    collaboration.connect(next);
+  };
+
+  return (
+    <div className="node-editor collaboration-panel">
+      <h2>Collaborate</h2>
+      {status !== "disconnected" ? (
+        <>
+          <p className="subtle">
+            Room <strong>{room}</strong> ·{" "}
+            <span className={`collab-status collab-${status}`}>{STATUS_LABELS[status]}</span>
+          </p>
+          {peers.length ? (
+            <ul className="collab-peers">
+              {peers.map((peer) => (
+                <li key={peer.clientId}>
+                  <span className="collab-swatch" style={{ background: peer.user.color }} />
+                  {peer.user.name}
+                  {peer.selection.length ? <small> · {peer.selection.length} selected</small> : null}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="subtle">Nobody else is here yet. Share the room name and server address.</p>
+          )}
+          <button type="button" className="open-ai-btn" onClick={() => collaboration.disconnect()}>
+            Leave Room
+          </button>
+        </>
+      ) : (
+        <>
+          <p className="subtle">
+            Edit this flow together in real time. Run <code>npm run sync</code> to start a sync server.
+          </p>
+          <label>
+            Sync Server
+            <input value={settings.serverUrl} onChange={(event) => updateSetting("serverUrl", event.target.value)} />
+          </label>
+          <label>
+            Room
+            <input
+              value={settings.room}
+              placeholder="team-onboarding-flow"
+              onChange={(event) => updateSetting("room", event.target.value)}
+            />
+          </label>
+          <label>
+            Your Name
+            <input
+              value={settings.name}
+              placeholder="Anonymous"
+              onChange={(event) => updateSetting("name", event.target.value)}
+            />
+          </label>
+          <button
+            type="button"
+            className="export-btn"
+            onClick={join}
+            disabled={!settings.serverUrl.trim() || !settings.room.trim()}
+          >
+            Join Room
+          </button>
+        </>
+      )}
+      {error ? <p className="error-text">{error}</p> : null}
+    </div>
+  );
+}
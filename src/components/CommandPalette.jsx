@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from "react";
+import { formatBindings } from "../lib/shortcuts";
+
+const MAX_RESULTS = 50;
+
+const matchesQuery = (entry, query) => {
+  const haystack = `${entry.title} ${entry.detail}`.toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((token) => haystack.includes(token));
+};
+
+export default function CommandPalette({ commands, nodes, bindings, onFocusNode, onClose }) {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const entries = [
+    ...commands
+      .filter((command) => !command.disabled)
+      .map((command) => ({
+        key: `command:${command.id}`,
+        title: command.title,
+        detail: command.group,
+        shortcut: formatBindings(bindings[command.id]),
+        run: command.run
+      })),
+    ...nodes.map((node) => ({
+      key: `node:${node.id}`,
+      title: node.data.label || node.id,
+      detail: `Go to ${node.data.role} node`,
+      shortcut: "",
+      run: () => onFocusNode(node.id)
+    }))
+  ]
+    .filter((entry) => matchesQuery(entry, query))
+    .slice(0, MAX_RESULTS);
+  const activeEntry = entries[Math.min(activeIndex, entries.length - 1)] ?? null;
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.querySelector(".active")?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  const runEntry = (entry) => {
+    onClose();
+    entry.run();
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      setActiveIndex((current) => (entries.length ? (current + step + entries.length) % entries.length : 0));
+    } else if (event.key === "Enter" && activeEntry) {
+      event.preventDefault();
+      runEntry(activeEntry);
+    } else if (event.key === "Escape") {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-backdrop palette-backdrop" onClick={onClose}>
+      <div
+        className="modal-card command-palette"
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={onKeyDown}
+      >
+        <input
+          autoFocus
+          value={query}
+          placeholder="Type a command or node label…"
+          onChange={(event) => setQuery(event.target.value)}
+        />
+        <ul ref={listRef} className="command-list">
+          {entries.map((entry) => (
+            <li key={entry.key}>
+              <button
+                type="button"
+                className={entry === activeEntry ? "active" : ""}
+                onMouseEnter={() => setActiveIndex(entries.indexOf(entry))}
+                onClick={() => runEntry(entry)}
+              >
+                <span>
+                  {entry.title} <small>{entry.detail}</small>
+                </span>
+                {entry.shortcut ? <kbd>{entry.shortcut}</kbd> : null}
+              </button>
+            </li>
+          ))}
+          {!entries.length ? <li className="subtle">No matching commands or nodes.</li> : null}
+        </ul>
+      </div>
+    </div>
+  );
+}
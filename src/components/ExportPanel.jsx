@@ -0,0 +1,65 @@
+import { useMemo, useState } from "react";
+import { copyText, downloadTextFile, getTimestampSlug } from "../lib/clipboard";
+import { ANTHROPIC_LEADING_USER_TURN, EXPORT_FORMATS, exportSequence, needsLeadingUserTurn } from "../lib/exporters";
+
+export default function ExportPanel({ sequence }) {
+  const [formatId, setFormatId] = useState(EXPORT_FORMATS[0].id);
+  const [models, setModels] = useState(() =>
+    Object.fromEntries(EXPORT_FORMATS.map((format) => [format.id, format.defaultModel]))
+  );
+  const format = EXPORT_FORMATS.find((item) => item.id === formatId) ?? EXPORT_FORMATS[0];
+  const model = models[format.id] ?? "";
+  const output = useMemo(() => exportSequence(format.id, sequence, model), [format.id, sequence, model]);
+
+  const copyExport = async () => {
+    const copied = await copyText(output);
+    window.alert(
+      copied ? `${format.label} payload copied to clipboard.` : "Failed to copy payload. Please copy it manually."
+    );
+  };
+
+  const downloadExport = () => {
+    const type = format.extension === "jsonl" ? "application/jsonl;charset=utf-8" : "application/json;charset=utf-8";
+    downloadTextFile(output, `prompt-flow-${format.id}-${getTimestampSlug()}.${format.extension}`, type);
+  };
+
+  return (
+    <div className="node-editor export-panel">
+      <h3>Export Messages</h3>
+      <label>
+        Format
+        <select value={format.id} onChange={(event) => setFormatId(event.target.value)}>
+          {EXPORT_FORMATS.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {format.defaultModel ? (
+        <label>
+          Model
+          <input
+            value={model}
+            onChange={(event) => setModels((current) => ({ ...current, [format.id]: event.target.value }))}
+          />
+        </label>
+      ) : null}
+      <div className="modal-actions">
+        <button type="button" className="export-btn" onClick={copyExport}>
+          Copy Payload
+        </button>
+        <button type="button" className="open-ai-btn" onClick={downloadExport}>
+          Download (.{format.extension})
+        </button>
+      </div>
+      {format.id === "anthropic" && needsLeadingUserTurn(sequence) ? (
+        <p className="warning-text">
+          The flow starts with an assistant turn. The Messages API requires a user turn first, so a placeholder user
+          turn ("{ANTHROPIC_LEADING_USER_TURN}") was added.
+        </p>
+      ) : null}
+      <pre style={{ maxHeight: "400px", overflow: "auto" }}>{output}</pre>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import { useEffect, useMemo, useState } from "react";
+import { createSearchPattern, findInNodes } from "../lib/findReplace";
+
+const renderExcerpt = (match) => {
+  const before = match.text.slice(Math.max(0, match.start - 24), match.start);
+  const after = match.text.slice(match.end, match.end + 24);
+  return (
+    <>
+      {match.start > 24 ? "…" : ""}
+      {before}
+      <mark>{match.text.slice(match.start, match.end)}</mark>
+      {after}
+      {match.end + 24 < match.text.length ? "…" : ""}
+    </>
+  );
+};
+
+export default function FindReplacePanel({ nodes, onFocusMatch, onReplace, onClose }) {
+  const [query, setQuery] = useState("");
+  const [replacement, setReplacement] = useState("");
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [regex, setRegex] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const { pattern, error } = useMemo(
+    () => createSearchPattern(query, { caseSensitive, regex }),
+    [query, caseSensitive, regex]
+  );
+  const groups = useMemo(() => findInNodes(nodes, pattern), [nodes, pattern]);
+  const matches = groups.flatMap((group) => group.matches);
+  const activeMatch = matches[Math.min(activeIndex, matches.length - 1)] ?? null;
+  let summary = "";
+  if (query && !error) {
+    summary = matches.length
+      ? `${matches.indexOf(activeMatch) + 1} of ${matches.length} in ${groups.length} node${groups.length === 1 ? "" : "s"}`
+      : "No matches";
+  }
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [pattern]);
+
+  const goTo = (index) => {
+    if (!matches.length) {
+      return;
+    }
+    const next = (index + matches.length) % matches.length;
+    setActiveIndex(next);
+    onFocusMatch(matches[next]);
+  };
+
+  return (
+    <div
+      className="find-panel nodrag nopan"
+      onKeyDown={(event) => {
+        if (event.key === "Escape") {
+          onClose();
+        } else if (event.key === "Enter" && event.target.name === "find-query") {
+          event.preventDefault();
+          goTo(activeIndex + (event.shiftKey ? -1 : 1));
+        }
+      }}
+    >
+      <div className="find-panel-header">
+        <strong>Find &amp; Replace</strong>
+        <button type="button" className="node-list-delete" onClick={onClose} aria-label="Close find and replace">
+          x
+        </button>
+      </div>
+      <input
+        name="find-query"
+        autoFocus
+        value={query}
+        placeholder="Find in labels, items and examples"
+        onChange={(event) => setQuery(event.target.value)}
+      />
+      <input
+        value={replacement}
+        placeholder={regex ? "Replace with ($1 for groups)" : "Replace with"}
+        onChange={(event) => setReplacement(event.target.value)}
+      />
+      <div className="find-panel-options">
+        <label>
+          <input
+            type="checkbox"
+            checked={caseSensitive}
+            onChange={(event) => setCaseSensitive(event.target.checked)}
+          />
+          Match case
+        </label>
+        <label>
+          <input type="checkbox" checked={regex} onChange={(event) => setRegex(event.target.checked)} />
+          Regex
+        </label>
+      </div>
+      {error ? <p className="error-text">{error}</p> : null}
+      <div className="find-panel-actions">
+        <span className="subtle">{summary}</span>
+        <button
+          type="button"
+          className="panel-toggle-btn"
+          onClick={() => goTo(activeIndex - 1)}
+          disabled={!matches.length}
+        >
+          Prev
+        </button>
+        <button
+          type="button"
+          className="panel-toggle-btn"
+          onClick={() => goTo(activeIndex + 1)}
+          disabled={!matches.length}
+        >
+          Next
+        </button>
+      </div>
+      <div className="find-panel-actions">
+        <button
+          type="button"
+          className="panel-toggle-btn"
+          onClick={() => onReplace(pattern, replacement, [activeMatch], { regex })}
+          disabled={!activeMatch}
+        >
+          Replace
+        </button>
+        <button
+          type="button"
+          className="panel-toggle-btn"
+          onClick={() => onReplace(pattern, replacement, matches, { regex })}
+          disabled={!matches.length}
+        >
+          Replace All
+        </button>
+      </div>
+      {groups.length ? (
+        <div className="find-results">
+          {groups.map((group) => (
+            <div key={group.nodeId} className="find-result-group">
+              <strong>
+                {group.label} <small>{group.role}</small>
+              </strong>
+              {group.matches.map((match) => (
+                <button
+                  key={match.key}
+                  type="button"
+                  className={`find-result ${match === activeMatch ? "active" : ""}`.trim()}
+                  onClick={() => {
+                    setActiveIndex(matches.indexOf(match));
+                    onFocusMatch(match);
+                  }}
+                >
+                  <small>{match.field}</small> {renderExcerpt(match)}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import { useMemo, useState } from "react";
+import { Background, Handle, MarkerType, Position, ReactFlow, ReactFlowProvider } from "@xyflow/react";
+import { describeBranch } from "../lib/branching";
+import { diffFlows, diffLines } from "../lib/flowDiff";
+import { readFlowFile } from "../lib/flowFiles";
+
+const CURRENT_SOURCE = "current";
+const EMPTY_GRAPH = { nodes: [], edges: [], variables: [] };
+
+function DiffNode({ data }) {
+  return (
+    <div className={`prompt-node diff-node diff-${data.status}`}>
+      <Handle type="target" position={Position.Top} isConnectable={false} />
+      <div className="node-header">
+        <span>{data.label || "Untitled"}</span>
+        <span className="node-header-meta">
+          <small>{data.role}</small>
+          <small className="diff-badge">{data.status}</small>
+        </span>
+      </div>
+      <ol className="diff-items">
+        {data.items.map((op, index) => (
+          <li
+            key={index}
+            className={`diff-line-${op.type}`}
+            style={{ paddingLeft: `${(op.value.level - 1) * 12}px` }}
+          >
+            {op.value.text || "(empty)"}
+          </li>
+        ))}
+      </ol>
+      <Handle type="source" position={Position.Bottom} isConnectable={false} />
+    </div>
+  );
+}
+
+const diffNodeTypes = { diffNode: DiffNode };
+
+const formatSummary = (counts) =>
+  ["added", "removed", "changed"]
+    .filter((status) => counts[status])
+    .map((status) => `${counts[status]} ${status}`)
+    .join(", ") || "no changes";
+
+export default function FlowDiffModal({
+  current,
+  flows,
+  activeFlowId,
+  loadFlow,
+  snapshots,
+  onTakeSnapshot,
+  buildPrompt,
+  onClose
+}) {
+  const [files, setFiles] = useState([]);
+  const [fileError, setFileError] = useState("");
+  const [beforeKey, setBeforeKey] = useState(() =>
+    snapshots.length ? `snapshot:${snapshots[snapshots.length - 1].id}` : CURRENT_SOURCE
+  );
+  const [afterKey, setAfterKey] = useState(CURRENT_SOURCE);
+  const [focusedNodeId, setFocusedNodeId] = useState(null);
+
+  const sourceGroups = [
+    { label: "Canvas", options: [{ key: CURRENT_SOURCE, name: "Current canvas" }] },
+    {
+      label: "Saved flows",
+      options: flows
+        .filter((flow) => flow.id !== activeFlowId)
+        .map((flow) => ({ key: `flow:${flow.id}`, name: flow.name }))
+    },
+    {
+      label: "Snapshots",
+      options: snapshots.map((snapshot) => ({ key: `snapshot:${snapshot.id}`, name: snapshot.name }))
+    },
+    { label: "Files", options: files.map((file) => ({ key: file.key, name: file.name })) }
+  ].filter((group) => group.options.length);
+
+  const resolveSource = (key) => {
+    if (key === CURRENT_SOURCE) {
+      return current;
+    }
+    if (key.startsWith("flow:")) {
+      return loadFlow(key.slice("flow:".length)) ?? EMPTY_GRAPH;
+    }
+    if (key.startsWith("snapshot:")) {
+      return snapshots.find((snapshot) => `snapshot:${snapshot.id}` === key) ?? EMPTY_GRAPH;
+    }
+    return files.find((file) => file.key === key)?.graph ?? EMPTY_GRAPH;
+  };
+
+  const before = resolveSource(beforeKey);
+  const after = resolveSource(afterKey);
+  const diff = useMemo(() => diffFlows(before, after), [before, after]);
+  const promptLines = useMemo(
+    () => diffLines(buildPrompt(before), buildPrompt(after)),
+    [before, after, buildPrompt]
+  );
+
+  const canvasNodes = diff.nodes.map((entry) => {
+    const node = entry.after ?? entry.before;
+    return {
+      id: node.id,
+      type: "diffNode",
+      position: node.position,
+      draggable: false,
+      data: { label: node.data.label, role: node.data.role, status: entry.status, items: entry.items }
+    };
+  });
+  const canvasEdges = diff.edges.map((entry) => ({
+    id: entry.key,
+    source: entry.edge.source,
+    target: entry.edge.target,
+    type: "smoothstep",
+    className: `diff-edge-${entry.status}`,
+    label: entry.edge.data?.label || entry.edge.data?.predicate ? describeBranch(entry.edge) : undefined,
+    markerEnd: { type: MarkerType.ArrowClosed }
+  }));
+  const changedNodes = diff.nodes.filter(
+    (entry) => entry.status !== "unchanged" && (!focusedNodeId || entry.id === focusedNodeId)
+  );
+
+  const onFileSelected = async (event, side) => {
+    const file = event.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const result = readFlowFile(await file.text());
+      if (!result.document) {
+        setFileError(result.error);
+        return;
+      }
+      const key = `file:${Date.now()}`;
+      setFiles((currentFiles) => [
+        ...currentFiles,
+        { key, name: result.name || file.name, graph: result.document }
+      ]);
+      (side === "before" ? setBeforeKey : setAfterKey)(key);
+      setFileError("");
+    } catch {
+      setFileError("Could not read the selected file.");
+    } finally {
+      event.target.value = "";
+    }
+  };
+
+  const renderSourcePicker = (side, value, onChange) => (
+    <label>
+      {side === "before" ? "Before" : "After"}
+      <select value={value} onChange={(event) => onChange(event.target.value)}>
+        {sourceGroups.map((group) => (
+          <optgroup key={group.label} label={group.label}>
+            {group.options.map((option) => (
+              <option key={option.key} value={option.key}>
+                {option.name}
+              </option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+      <input type="file" accept=".json,.yaml,.yml,.prompty" onChange={(event) => onFileSelected(event, side)} />
+    </label>
+  );
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card diff-modal" onClick={(event) => event.stopPropagation()}>
+        <h2>Compare Flows</h2>
+        <p className="subtle">
+          Pick two versions: the current canvas, another saved flow, a snapshot, or an exported
+          <code>.json</code> / <code>.yaml</code> / <code>.prompty</code> file.
+        </p>
+        <div className="modal-actions">
+          {renderSourcePicker("before", beforeKey, setBeforeKey)}
+          {renderSourcePicker("after", afterKey, setAfterKey)}
+        </div>
+        <button type="button" className="open-ai-btn" onClick={onTakeSnapshot}>
+          Snapshot Current Canvas
+        </button>
+        {fileError ? <p className="error-text">{fileError}</p> : null}
+        <p className="diff-summary">
+          Nodes: {formatSummary(diff.summary.nodes)} · Edges: {formatSummary(diff.summary.edges)} · Variables:{" "}
+          {formatSummary(diff.summary.variables)}
+        </p>
+
+        <div className="diff-canvas">
+          <ReactFlowProvider>
+            <ReactFlow
+              key={`${beforeKey}|${afterKey}`}
+              nodes={canvasNodes}
+              edges={canvasEdges}
+              nodeTypes={diffNodeTypes}
+              nodesConnectable={false}
+              onNodeClick={(_, node) => setFocusedNodeId(node.id === focusedNodeId ? null : node.id)}
+              onPaneClick={() => setFocusedNodeId(null)}
+              fitView
+            >
+              <Background gap={20} size={1} color="rgba(0, 0, 0, 0.08)" />
+            </ReactFlow>
+          </ReactFlowProvider>
+        </div>
+
+        <h3>Item Changes{focusedNodeId ? ` · ${focusedNodeId}` : ""}</h3>
+        {changedNodes.length ? (
+          changedNodes.map((entry) => (
+            <div key={entry.id} className="diff-node-changes">
+              <strong>
+                {(entry.after ?? entry.before).data.label || entry.id} <small>{entry.status}</small>
+                {entry.changes.length ? <small> · {entry.changes.join(", ")}</small> : null}
+              </strong>
+              {entry.changes.includes("label") ? (
+                <p className="subtle">
+                  Label: {entry.before.data.label || "(empty)"} → {entry.after.data.label || "(empty)"}
+                </p>
+              ) : null}
+              {entry.changes.includes("role") ? (
+                <p className="subtle">
+                  Role: {entry.before.data.role} → {entry.after.data.role}
+                </p>
+              ) : null}
+              <pre className="diff-lines">
+                {entry.items.map((op, index) => (
+                  <div key={index} className={`diff-line-${op.type}`}>
+                    {op.type === "added" ? "+ " : op.type === "removed" ? "- " : "  "}
+                    {"  ".repeat(op.value.level - 1)}
+                    {op.value.text}
+                  </div>
+                ))}
+              </pre>
+            </div>
+          ))
+        ) : (
+          <p className="subtle">{focusedNodeId ? "This node is unchanged." : "No node changes."}</p>
+        )}
+
+        <h3>Generated Prompt Diff</h3>
+        <pre className="diff-lines">
+          {promptLines.map((line, index) =>
+            line.type === "skip" ? (
+              <div key={index} className="diff-line-skip">
+                @@ {line.count} unchanged line{line.count === 1 ? "" : "s"} @@
+              </div>
+            ) : (
+              <div key={index} className={`diff-line-${line.type}`}>
+                {line.type === "added" ? "+ " : line.type === "removed" ? "- " : "  "}
+                {line.value}
+              </div>
+            )
+          )}
+        </pre>
+        <button type="button" className="open-ai-btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
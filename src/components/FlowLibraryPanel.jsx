@@ -0,0 +1,68 @@
+import { useState } from "react";
+
+const formatTimestamp = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "unknown" : date.toLocaleString();
+};
+
+export default function FlowLibraryPanel({
+  flows,
+  activeFlowId,
+  onCreate,
+  onDuplicate,
+  onDelete,
+  onRename,
+  onSwitch
+}) {
+  const [search, setSearch] = useState("");
+  const activeFlow = flows.find((flow) => flow.id === activeFlowId) ?? null;
+  const query = search.trim().toLowerCase();
+  const visibleFlows = flows
+    .filter((flow) => !query || flow.name.toLowerCase().includes(query))
+    .sort((a, b) => (b.updatedAt ?? "").localeCompare(a.updatedAt ?? ""));
+
+  return (
+    <div className="node-editor flow-library">
+      <h2>Flow Library</h2>
+      {activeFlow ? (
+        <label>
+          Current Flow Name
+          <input value={activeFlow.name} onChange={(event) => onRename(activeFlow.id, event.target.value)} />
+        </label>
+      ) : null}
+      <div className="flow-library-actions">
+        <button type="button" className="open-ai-btn" onClick={onCreate}>
+          New
+        </button>
+        <button type="button" className="open-ai-btn" onClick={() => onDuplicate(activeFlowId)}>
+          Duplicate
+        </button>
+        <button type="button" className="danger" onClick={() => onDelete(activeFlowId)}>
+          Delete
+        </button>
+      </div>
+      <label>
+        Search Flows
+        <input
+          value={search}
+          placeholder="Filter by name"
+          onChange={(event) => setSearch(event.target.value)}
+        />
+      </label>
+      <div className="flow-library-list">
+        {visibleFlows.map((flow) => (
+          <button
+            key={flow.id}
+            type="button"
+            className={`flow-library-item ${flow.id === activeFlowId ? "active" : ""}`.trim()}
+            onClick={() => onSwitch(flow.id)}
+          >
+            <strong>{flow.name || "Untitled Flow"}</strong>
+            <span>Edited {formatTimestamp(flow.updatedAt)}</span>
+          </button>
+        ))}
+        {!visibleFlows.length ? <p className="subtle">No flows match your search.</p> : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { ViewportPortal } from "@xyflow/react";
+
+// Cursors are shared in flow coordinates, so pan and zoom do not matter.
+export default function PresenceCursors({ peers }) {
+  return (
+    <ViewportPortal>
+      {peers
+        .filter((peer) => peer.cursor)
+        .map((peer) => (
+          <div
+            key={peer.clientId}
+            className="presence-cursor"
+            style={{ transform: `translate(${peer.cursor.x}px, ${peer.cursor.y}px)`, color: peer.user.color }}
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" aria-hidden="true">
+              <path d="M1 1l5.5 14 2-6 6-2z" fill="currentColor" stroke="#fff" strokeWidth="1" />
+            </svg>
+            <span style={{ background: peer.user.color }}>{peer.user.name}</span>
+          </div>
+        ))}
+    </ViewportPortal>
+  );
+}
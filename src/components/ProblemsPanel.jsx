@@ -0,0 +1,34 @@
+export default function ProblemsPanel({ issues, onSelectIssue }) {
+  const errorCount = issues.filter((issue) => issue.severity === "error").length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <div className="problems-panel">
+      <h2>
+        Problems{" "}
+        <small className="subtle">
+          {errorCount} error{errorCount === 1 ? "" : "s"}, {warningCount} warning{warningCount === 1 ? "" : "s"}
+        </small>
+      </h2>
+      {issues.length ? (
+        <ul className="problems-list">
+          {issues.map((issue, index) => (
+            <li key={`${issue.code}-${issue.nodeId ?? issue.edgeId ?? ""}-${index}`}>
+              <button
+                type="button"
+                className={`problem-item ${issue.severity}`}
+                onClick={() => onSelectIssue(issue)}
+                disabled={!issue.nodeId}
+              >
+                <strong>{issue.severity}</strong>
+                <span>{issue.message}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="subtle">No problems detected.</p>
+      )}
+    </div>
+  );
+}
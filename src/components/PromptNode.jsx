@@ -1,143 +1,313 @@
+import { useLayoutEffect, useRef } from "react";
 import { Handle, Position } from "@xyflow/react";
+import {
+  createListItem,
+  formatContent,
+  getItemNumbers,
+  normalizeContentFormat,
+  normalizeListItems
+} from "../lib/listItems";
+import { createExample, normalizeExamples } from "../lib/examples";
+import { formatStepRange } from "../lib/stepOrder";
+import { countTextTokens, formatTokenCount } from "../lib/tokens";
 
 const roleStyles = {
   system: "node-system",
   user: "node-user",
   assistant: "node-assistant",
-  condition: "node-condition"
+  condition: "node-condition",
+  subflow: "node-subflow",
+  examples: "node-examples"
 };
 
-const makeItemId = () => `li-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+const ITEM_TYPE_CYCLE = { text: "code", code: "quote", quote: "text" };
+const ITEM_TYPE_LABELS = { text: "Text", code: "Code", quote: "Quote" };
+const ITEM_TYPE_MARKERS = { code: "{ }", quote: "❝" };
+// Deeper levels still nest in the output; only the editor stops indenting.
+const MAX_VISUAL_INDENT = 6;
 
-function normalizeListItems(items, fallbackContent = "") {
-  if (Array.isArray(items) && items.length) {
-    return items.map((item) => {
-      if (typeof item === "string") {
-        return { id: makeItemId(), text: item, level: 1 };
-      }
-      return {
-        id: item?.id || makeItemId(),
-        text: item?.text ?? "",
-        level: Math.max(1, Math.min(3, Number(item?.level) || 1))
-      };
-    });
-  }
-
-  if (fallbackContent) {
-    const lines = fallbackContent
-      .split("\n")
-      .map((line) => line.trim())
-      .filter(Boolean);
-    if (lines.length) {
-      return lines.map((line) => {
-        const match = line.match(/^(\d+(?:\.\d+)*)(?:\.)?\s+(.+)$/);
-        if (match) {
-          return {
-            id: makeItemId(),
-            text: match[2],
-            level: Math.max(1, Math.min(3, match[1].split(".").length))
-          };
-        }
-        return { id: makeItemId(), text: line, level: 1 };
-      });
-    }
-  }
-
-  return [{ id: makeItemId(), text: "", level: 1 }];
+function ItemTextarea({ value, ...props }) {
+  const ref = useRef(null);
+  useLayoutEffect(() => {
+    ref.current.style.height = "auto";
+    ref.current.style.height = `${ref.current.scrollHeight}px`;
+  }, [value]);
+  return <textarea ref={ref} rows={1} value={value} {...props} />;
 }
 
-function buildDisplayTokens(items) {
-  const counters = [0, 0, 0];
-  return items.map((item) => {
-    const level = Math.max(1, Math.min(3, Number(item.level) || 1));
-    counters[level - 1] += 1;
-    for (let index = level; index < counters.length; index += 1) {
-      counters[index] = 0;
-    }
-    return counters.slice(0, level).join(".");
-  });
-}
-
-export default function PromptNode({ data, isSelected, onSelect, onListChange }) {
-  const roleClass = roleStyles[data.role] ?? "node-user";
-  const listItems = normalizeListItems(data.listItems, data.content);
-  const displayTokens = buildDisplayTokens(listItems);
+function ExamplesEditor({ examples, onChange }) {
+  const rows = normalizeExamples(examples);
+  const update = (index, patch) => onChange(rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+  const move = (index, delta) => {
+    const next = [...rows];
+    [next[index], next[index + delta]] = [next[index + delta], next[index]];
+    onChange(next);
+  };
+  const stop = (handler) => (event) => {
+    event.stopPropagation();
+    handler();
+  };
 
   return (
-    <div className={`prompt-node ${roleClass} ${isSelected ? "selected" : ""}`} onClick={onSelect}>
-      <Handle type="target" position={Position.Top} />
-      <div className="node-header">
-        <span>{data.label || "Untitled"}</span>
-        <small>{data.role}</small>
-      </div>
-      <div className="node-list-editor">
-        {listItems.map((item, index) => (
-          <div key={item.id} className="node-list-row">
-            <span className="node-list-index">{displayTokens[index]}.</span>
-            <input
-              className="nodrag nopan"
-              value={item.text}
-              placeholder={`Item ${index + 1}`}
-              onClick={(event) => event.stopPropagation()}
-              onChange={(event) => {
-                const next = [...listItems];
-                next[index] = { ...next[index], text: event.target.value };
-                onListChange(next);
-              }}
-            />
+    <div className="node-examples-editor">
+      {rows.map((row, index) => (
+        <div key={row.id} className="node-example-row">
+          <span className="node-list-index">{index + 1}.</span>
+          <div className="node-example-fields">
+            {["input", "output"].map((field) => (
+              <ItemTextarea
+                key={field}
+                className="nodrag nopan nowheel"
+                value={row[field]}
+                placeholder={field === "input" ? "Input" : "Output"}
+                aria-label={`Example ${index + 1} ${field}`}
+                onClick={(event) => event.stopPropagation()}
+                onChange={(event) => update(index, { [field]: event.target.value })}
+              />
+            ))}
+          </div>
+          <div className="node-example-actions">
             <button
               type="button"
               className="node-list-level nodrag nopan"
-              onClick={(event) => {
-                event.stopPropagation();
-                const next = [...listItems];
-                next[index] = { ...next[index], level: Math.max(1, next[index].level - 1) };
-                onListChange(next);
-              }}
-              aria-label={`Outdent item ${index + 1}`}
-              title="Outdent"
+              disabled={index === 0}
+              onClick={stop(() => move(index, -1))}
+              aria-label={`Move example ${index + 1} up`}
             >
-              {"<"}
+              ↑
             </button>
             <button
               type="button"
               className="node-list-level nodrag nopan"
-              onClick={(event) => {
-                event.stopPropagation();
-                const next = [...listItems];
-                next[index] = { ...next[index], level: Math.min(3, next[index].level + 1) };
-                onListChange(next);
-              }}
-              aria-label={`Indent item ${index + 1}`}
-              title="Indent"
+              disabled={index === rows.length - 1}
+              onClick={stop(() => move(index, 1))}
+              aria-label={`Move example ${index + 1} down`}
             >
-              {">"}
+              ↓
             </button>
             <button
               type="button"
               className="node-list-delete nodrag nopan"
-              onClick={(event) => {
-                event.stopPropagation();
-                const next = listItems.filter((_, i) => i !== index);
-                onListChange(next.length ? next : [{ id: makeItemId(), text: "", level: 1 }]);
-              }}
-              aria-label={`Remove item ${index + 1}`}
+              onClick={stop(() => onChange(rows.filter((_, i) => i !== index)))}
+              aria-label={`Remove example ${index + 1}`}
             >
               x
             </button>
           </div>
-        ))}
-        <button
-          type="button"
-          className="node-list-add nodrag nopan"
-          onClick={(event) => {
-            event.stopPropagation();
-            onListChange([...listItems, { id: makeItemId(), text: "", level: 1 }]);
-          }}
-        >
-          + item
-        </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="node-list-add nodrag nopan"
+        onClick={stop(() => onChange([...rows, createExample()]))}
+      >
+        + example
+      </button>
+    </div>
+  );
+}
+
+export default function PromptNode({ data, isSelected, onSelect, onChange, onListChange, onExamplesChange }) {
+  const roleClass = roleStyles[data.role] ?? "node-user";
+  const contentFormat = normalizeContentFormat(data.contentFormat);
+  const listItems = normalizeListItems(data.listItems, data.content, contentFormat);
+  const itemNumbers = getItemNumbers(listItems);
+  const isNested = contentFormat !== "plain";
+  const itemMarker = (type, index) =>
+    ITEM_TYPE_MARKERS[type] ?? (contentFormat === "bullet" ? "•" : isNested ? `${itemNumbers[index]}.` : "");
+  const subflowSteps = data.subflowPreview?.sequence ?? [];
+  const tokenCount =
+    data.role === "subflow"
+      ? subflowSteps.reduce((total, step) => total + countTextTokens(step.content), 0)
+      : countTextTokens(data.content);
+  const presence = data.presence ?? [];
+
+  return (
+    <div
+      className={`prompt-node ${roleClass} ${isSelected ? "selected" : ""} ${presence.length ? "has-presence" : ""}`}
+      style={presence.length ? { "--presence-color": presence[0].color } : undefined}
+      onClick={onSelect}
+    >
+      <Handle type="target" position={Position.Top} />
+      <div className="node-header">
+        <span>
+          {data.steps?.length ? (
+            <small
+              className={`step-badge ${Number.isFinite(data.order) ? "" : "positional"}`.trim()}
+              title={
+                Number.isFinite(data.order) ? "Step in the generated prompt" : "Step order follows canvas position"
+              }
+            >
+              {formatStepRange(data.steps)}
+            </small>
+          ) : null}
+          {data.label || "Untitled"}
+        </span>
+        <span className="node-header-meta">
+          <small className="node-token-count" title={`~${tokenCount} tokens`}>
+            ~{formatTokenCount(tokenCount)} tok
+          </small>
+          <small>{data.role}</small>
+        </span>
       </div>
+      {presence.length ? (
+        <div className="node-presence">
+          {presence.map((user, index) => (
+            <span key={index} style={{ background: user.color }}>
+              {user.name}
+            </span>
+          ))}
+        </div>
+      ) : null}
+      {data.role === "subflow" ? (
+        <div className="node-subflow-body">
+          <span>{data.subflowSource}</span>
+          <button
+            type="button"
+            className="node-list-add nodrag nopan"
+            onClick={(event) => {
+              event.stopPropagation();
+              onChange({ expanded: !data.expanded });
+            }}
+          >
+            {data.expanded ? "Collapse" : `Expand (${subflowSteps.length} step${subflowSteps.length === 1 ? "" : "s"})`}
+          </button>
+          {data.expanded ? (
+            <ol className="node-subflow-steps">
+              {subflowSteps.map((step) => (
+                <li key={step.id}>
+                  <strong>{step.role}</strong> {step.label}
+                  <span>{step.content ? ` — ${step.content.split("\n")[0]}` : ""}</span>
+                </li>
+              ))}
+            </ol>
+          ) : null}
+        </div>
+      ) : data.role === "examples" ? (
+        <ExamplesEditor examples={data.examples} onChange={onExamplesChange} />
+      ) : contentFormat === "raw" ? (
+        <div className="node-list-editor">
+          <ItemTextarea
+            className="node-raw-text nodrag nopan nowheel"
+            value={formatContent(listItems, "raw")}
+            placeholder="Raw text"
+            onClick={(event) => event.stopPropagation()}
+            onChange={(event) => onListChange([{ ...listItems[0], text: event.target.value }])}
+          />
+        </div>
+      ) : (
+        <div className="node-list-editor">
+          {listItems.map((item, index) => {
+            const type = item.type ?? "text";
+            const updateItem = (patch) => {
+              const next = [...listItems];
+              next[index] = { ...next[index], ...patch };
+              onListChange(next);
+            };
+            const changeLevel = (delta) => updateItem({ level: Math.max(1, item.level + delta) });
+            return (
+              <div
+                key={item.id}
+                className={`node-list-row node-list-${type}`}
+                style={
+                  isNested ? { paddingLeft: `${(Math.min(item.level, MAX_VISUAL_INDENT) - 1) * 8}px` } : undefined
+                }
+              >
+                <span className="node-list-index">{itemMarker(type, index)}</span>
+                <div className="node-list-text">
+                  <ItemTextarea
+                    className="nodrag nopan nowheel"
+                    value={item.text}
+                    placeholder={
+                      type === "text"
+                        ? `${isNested ? "Item" : "Paragraph"} ${index + 1}`
+                        : `${ITEM_TYPE_LABELS[type]} block`
+                    }
+                    onClick={(event) => event.stopPropagation()}
+                    onChange={(event) => updateItem({ text: event.target.value })}
+                    onKeyDown={(event) => {
+                      if (event.key === "Tab" && isNested) {
+                        event.preventDefault();
+                        changeLevel(event.shiftKey ? -1 : 1);
+                      }
+                    }}
+                  />
+                  {type === "code" ? (
+                    <input
+                      className="node-list-language nodrag nopan"
+                      value={item.language ?? ""}
+                      placeholder="language"
+                      onClick={(event) => event.stopPropagation()}
+                      onChange={(event) => updateItem({ language: event.target.value.trim() })}
+                    />
+                  ) : null}
+                </div>
+                <button
+                  type="button"
+                  className="node-list-level nodrag nopan"
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    const nextType = ITEM_TYPE_CYCLE[type];
+                    updateItem({ type: nextType === "text" ? undefined : nextType, language: undefined });
+                  }}
+                  aria-label={`Change type of item ${index + 1}`}
+                  title={`${ITEM_TYPE_LABELS[type]} item (click for ${ITEM_TYPE_LABELS[ITEM_TYPE_CYCLE[type]]})`}
+                >
+                  {ITEM_TYPE_MARKERS[type] ?? "¶"}
+                </button>
+                <button
+                  type="button"
+                  className="node-list-level nodrag nopan"
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    changeLevel(-1);
+                  }}
+                  disabled={!isNested}
+                  aria-label={`Outdent item ${index + 1}`}
+                  title="Outdent (Shift+Tab)"
+                >
+                  {"<"}
+                </button>
+                <button
+                  type="button"
+                  className="node-list-level nodrag nopan"
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    changeLevel(1);
+                  }}
+                  disabled={!isNested}
+                  aria-label={`Indent item ${index + 1}`}
+                  title="Indent (Tab)"
+                >
+                  {">"}
+                </button>
+                <button
+                  type="button"
+                  className="node-list-delete nodrag nopan"
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    const next = listItems.filter((_, i) => i !== index);
+                    onListChange(next.length ? next : [createListItem("", 1)]);
+                  }}
+                  aria-label={`Remove item ${index + 1}`}
+                >
+                  x
+                </button>
+              </div>
+            );
+          })}
+          <button
+            type="button"
+            className="node-list-add nodrag nopan"
+            onClick={(event) => {
+              event.stopPropagation();
+              onListChange([...listItems, createListItem("", 1)]);
+            }}
+          >
+            + item
+          </button>
+        </div>
+      )}
       <Handle type="source" position={Position.Bottom} />
     </div>
   );
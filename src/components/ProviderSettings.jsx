@@ -0,0 +1,93 @@
+import { PROVIDERS, createProviderConfig, getProvider } from "../lib/providers";
+
+export default function ProviderSettings({ config, onChange, apiKey, onApiKeyChange }) {
+  const provider = getProvider(config.providerId);
+  const update = (patch) => onChange({ ...config, ...patch });
+
+  return (
+    <div className="provider-settings">
+      <label>
+        Provider
+        <select
+          value={provider.id}
+          onChange={(event) => onChange(createProviderConfig(event.target.value))}
+        >
+          {PROVIDERS.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Base URL
+        <input
+          value={config.baseUrl}
+          placeholder={provider.defaultBaseUrl}
+          onChange={(event) => update({ baseUrl: event.target.value })}
+        />
+      </label>
+      <label>
+        Model
+        <input
+          value={config.model}
+          placeholder={provider.defaultModel}
+          onChange={(event) => update({ model: event.target.value })}
+        />
+      </label>
+      <label>
+        API Key{provider.requiresApiKey ? "" : " (optional)"}
+        <input
+          type="password"
+          value={apiKey}
+          onChange={(event) => onApiKeyChange(event.target.value)}
+          placeholder={provider.requiresApiKey ? "Required" : "Leave empty for local endpoints"}
+        />
+      </label>
+      <div className="provider-sampling">
+        <label>
+          Temperature
+          <input
+            type="number"
+            min="0"
+            max="2"
+            step="0.1"
+            value={config.temperature}
+            onChange={(event) => update({ temperature: event.target.value })}
+          />
+        </label>
+        <label>
+          Top P
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.05"
+            value={config.topP}
+            onChange={(event) => update({ topP: event.target.value })}
+          />
+        </label>
+        <label>
+          Max Tokens
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={config.maxTokens}
+            onChange={(event) => update({ maxTokens: event.target.value })}
+          />
+        </label>
+      </div>
+      {provider.supportsStructuredOutput ? (
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={Boolean(config.useStructuredOutput)}
+            onChange={(event) => update({ useStructuredOutput: event.target.checked })}
+          />
+          Request strict JSON schema output (falls back to parsing free text)
+        </label>
+      ) : null}
+    </div>
+  );
+}
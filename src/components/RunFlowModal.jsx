@@ -0,0 +1,182 @@
+import { useEffect, useRef, useState } from "react";
+import ProviderSettings from "./ProviderSettings";
+import { toChatMessages } from "../lib/examples";
+import { getProvider, streamCompletion } from "../lib/providers";
+import { loadRunHistory, saveRunHistory } from "../lib/runHistory";
+
+const NEW_NODE_TARGET = "__new__";
+
+export default function RunFlowModal({
+  flowId,
+  sequence,
+  assistantNodes,
+  providerConfig,
+  onProviderConfigChange,
+  apiKey,
+  onApiKeyChange,
+  onWriteReply,
+  onClose
+}) {
+  const [runs, setRuns] = useState(() => loadRunHistory(flowId));
+  const [output, setOutput] = useState("");
+  const [runError, setRunError] = useState("");
+  const [isRunning, setIsRunning] = useState(false);
+  const [selectedRunId, setSelectedRunId] = useState(null);
+  const [replyTarget, setReplyTarget] = useState(NEW_NODE_TARGET);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    saveRunHistory(flowId, runs);
+  }, [flowId, runs]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const messages = toChatMessages(sequence);
+  const selectedRun = runs.find((run) => run.id === selectedRunId) ?? null;
+  const visibleOutput = selectedRun ? selectedRun.output : output;
+
+  const runFlow = async () => {
+    const provider = getProvider(providerConfig.providerId);
+    if (provider.requiresApiKey && !apiKey.trim()) {
+      setRunError(`API key is required for ${provider.label}.`);
+      return;
+    }
+    if (!messages.length) {
+      setRunError("The flow has no system, user or assistant steps to send.");
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsRunning(true);
+    setRunError("");
+    setOutput("");
+    setSelectedRunId(null);
+
+    const startedAt = new Date().toISOString();
+    try {
+      const result = await streamCompletion(providerConfig, {
+        apiKey,
+        messages,
+        signal: controller.signal,
+        onDelta: (_, text) => setOutput(text)
+      });
+      setRuns((current) => [
+        {
+          id: `run-${Date.now()}`,
+          startedAt,
+          provider: provider.label,
+          model: result.model,
+          latencyMs: result.latencyMs,
+          status: "ok",
+          messageCount: messages.length,
+          output: result.text
+        },
+        ...current
+      ]);
+    } catch (error) {
+      const aborted = error.name === "AbortError";
+      setRunError(aborted ? "Run stopped." : error.message || "Run failed.");
+      setRuns((current) => [
+        {
+          id: `run-${Date.now()}`,
+          startedAt,
+          provider: provider.label,
+          model: providerConfig.model,
+          latencyMs: null,
+          status: aborted ? "stopped" : "error",
+          messageCount: messages.length,
+          output: aborted ? "" : error.message || "Run failed."
+        },
+        ...current
+      ]);
+    } finally {
+      abortRef.current = null;
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card" onClick={(event) => event.stopPropagation()}>
+        <h2>Run Flow</h2>
+        <p className="subtle">
+          Sends the {messages.length} generated step{messages.length === 1 ? "" : "s"} as a conversation and streams
+          the reply. Use an OpenAI-compatible base URL such as <code>http://localhost:8787/v1</code> (
+          <code>npm run mock:llm</code>) to test offline.
+        </p>
+        <ProviderSettings
+          config={providerConfig}
+          onChange={onProviderConfigChange}
+          apiKey={apiKey}
+          onApiKeyChange={onApiKeyChange}
+        />
+        <div className="modal-actions">
+          <button type="button" className="export-btn" onClick={runFlow} disabled={isRunning}>
+            {isRunning ? "Running..." : "Run Flow"}
+          </button>
+          <button
+            type="button"
+            className="open-ai-btn"
+            onClick={() => abortRef.current?.abort()}
+            disabled={!isRunning}
+          >
+            Stop
+          </button>
+        </div>
+        {runError ? <p className="error-text">{runError}</p> : null}
+
+        <h3>{selectedRun ? `Result from ${new Date(selectedRun.startedAt).toLocaleString()}` : "Result"}</h3>
+        <pre className="modal-json-preview run-output">{visibleOutput || "No output yet."}</pre>
+        <div className="run-write-back">
+          <label>
+            Write Reply To
+            <select value={replyTarget} onChange={(event) => setReplyTarget(event.target.value)}>
+              <option value={NEW_NODE_TARGET}>New assistant node after the last step</option>
+              {assistantNodes.map((node) => (
+                <option key={node.id} value={node.id}>
+                  Replace items of {node.data.label || node.id}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            className="open-ai-btn"
+            disabled={!visibleOutput || isRunning}
+            onClick={() => onWriteReply(visibleOutput, replyTarget === NEW_NODE_TARGET ? null : replyTarget)}
+          >
+            Write To Canvas
+          </button>
+        </div>
+
+        <h3>Run History</h3>
+        {runs.length ? (
+          <div className="run-history">
+            {runs.map((run) => (
+              <button
+                key={run.id}
+                type="button"
+                className={`flow-library-item ${run.id === selectedRunId ? "active" : ""}`.trim()}
+                onClick={() => setSelectedRunId(run.id === selectedRunId ? null : run.id)}
+              >
+                <strong>
+                  {new Date(run.startedAt).toLocaleString()} · {run.model || "unknown model"}
+                </strong>
+                <span>
+                  {run.status} · {run.latencyMs == null ? "n/a" : `${run.latencyMs} ms`} · {run.messageCount} messages ·{" "}
+                  {run.provider}
+                </span>
+              </button>
+            ))}
+            <button type="button" className="danger" onClick={() => setRuns([])} disabled={isRunning}>
+              Clear History
+            </button>
+          </div>
+        ) : (
+          <p className="subtle">No runs yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
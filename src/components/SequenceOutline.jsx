@@ -0,0 +1,76 @@
+import { useState } from "react";
+import { formatStepRange } from "../lib/stepOrder";
+
+export default function SequenceOutline({ outline, onReorder, onPin, onFocusNode }) {
+  const [draggingId, setDraggingId] = useState(null);
+  const [overId, setOverId] = useState(null);
+  const dragging = outline.find((entry) => entry.id === draggingId) ?? null;
+  const canDropOn = (entry) => dragging && entry.id !== dragging.id && entry.parentId === dragging.parentId;
+
+  const endDrag = () => {
+    setDraggingId(null);
+    setOverId(null);
+  };
+
+  return (
+    <div className="node-editor sequence-outline">
+      <h3>Step Order</h3>
+      <p className="subtle">
+        Drag a step onto a sibling (a step reached from the same node) to reorder them. Steps marked{" "}
+        <em>by position</em> are still ordered by where they sit on the canvas.
+      </p>
+      {outline.length ? (
+        <ol className="outline-list">
+          {outline.map((entry) => (
+            <li
+              key={entry.id}
+              draggable
+              className={[
+                "outline-item",
+                entry.id === draggingId ? "dragging" : "",
+                entry.id === overId ? "drop-target" : "",
+                dragging && !canDropOn(entry) && entry.id !== draggingId ? "drop-disabled" : ""
+              ]
+                .filter(Boolean)
+                .join(" ")}
+              style={{ marginLeft: `${Math.min(entry.depth, 6) * 12}px` }}
+              onDragStart={(event) => {
+                event.dataTransfer.effectAllowed = "move";
+                event.dataTransfer.setData("text/plain", entry.id);
+                setDraggingId(entry.id);
+              }}
+              onDragOver={(event) => {
+                if (canDropOn(entry)) {
+                  event.preventDefault();
+                  setOverId(entry.id);
+                }
+              }}
+              onDragLeave={() => setOverId((current) => (current === entry.id ? null : current))}
+              onDrop={(event) => {
+                event.preventDefault();
+                if (canDropOn(entry)) {
+                  onReorder(dragging.id, entry.id);
+                }
+                endDrag();
+              }}
+              onDragEnd={endDrag}
+            >
+              <span className="step-badge">{formatStepRange(entry.steps) || "–"}</span>
+              <button type="button" className="outline-label" onClick={() => onFocusNode(entry.id)}>
+                {entry.label || entry.id} <small>{entry.role}</small>
+              </button>
+              {!entry.isOrdered ? <small className="subtle">by position</small> : null}
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="subtle">No prompt steps yet.</p>
+      )}
+      {outline.some((entry) => !entry.isOrdered) ? (
+        <button type="button" className="open-ai-btn" onClick={onPin}>
+          Pin Current Order
+        </button>
+      ) : null}
+    </div>
+  );
+}
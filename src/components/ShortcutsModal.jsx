@@ -0,0 +1,142 @@
+import { useState } from "react";
+import {
+  DEFAULT_SHORTCUTS,
+  eventToBinding,
+  findCommandForBinding,
+  formatBinding,
+  formatBindings
+} from "../lib/shortcuts";
+
+// Handled by browser clipboard events and the canvas, so these cannot be rebound.
+const FIXED_SHORTCUTS = [
+  { title: "Copy selected nodes", keys: "Mod+C" },
+  { title: "Cut selected nodes", keys: "Mod+X" },
+  { title: "Paste nodes", keys: "Mod+V" },
+  { title: "Delete selected nodes (canvas)", keys: "Backspace" }
+];
+
+export default function ShortcutsModal({ commands, bindings, onChange, onClose }) {
+  const [recordingId, setRecordingId] = useState(null);
+  const [message, setMessage] = useState("");
+  const groups = [...new Set(commands.map((command) => command.group))];
+
+  const setBinding = (id, next) => {
+    onChange({ ...bindings, [id]: next });
+  };
+
+  const onRecordKeyDown = (event, id) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.key === "Escape") {
+      setRecordingId(null);
+      return;
+    }
+    const binding = eventToBinding(event);
+    if (!binding) {
+      return;
+    }
+    const conflictId = findCommandForBinding(bindings, binding);
+    const conflict = commands.find((command) => command.id === conflictId);
+    if (conflict && conflictId !== id) {
+      onChange({
+        ...bindings,
+        [conflictId]: bindings[conflictId].filter((entry) => entry !== binding),
+        [id]: [binding]
+      });
+      setMessage(`${formatBinding(binding)} was moved from "${conflict.title}".`);
+    } else {
+      setBinding(id, [binding]);
+      setMessage("");
+    }
+    setRecordingId(null);
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card shortcuts-modal" onClick={(event) => event.stopPropagation()}>
+        <h2>Keyboard Shortcuts</h2>
+        <p className="subtle">
+          Click a shortcut to change it, then press the new key combination (Escape cancels). Changes are saved in
+          this browser.
+        </p>
+        {message ? <p className="warning-text">{message}</p> : null}
+        {groups.map((group) => (
+          <section key={group}>
+            <h3>{group}</h3>
+            <table className="shortcuts-table">
+              <tbody>
+                {commands
+                  .filter((command) => command.group === group)
+                  .map((command) => {
+                    const current = bindings[command.id] ?? [];
+                    const defaults = DEFAULT_SHORTCUTS[command.id] ?? [];
+                    const isDefault = JSON.stringify(current) === JSON.stringify(defaults);
+                    return (
+                      <tr key={command.id}>
+                        <td>{command.title}</td>
+                        <td>
+                          <button
+                            type="button"
+                            className={`shortcut-key ${recordingId === command.id ? "recording" : ""}`.trim()}
+                            onClick={() => setRecordingId(command.id)}
+                            onKeyDown={(event) => recordingId === command.id && onRecordKeyDown(event, command.id)}
+                            onBlur={() => setRecordingId(null)}
+                          >
+                            {recordingId === command.id ? "Press keys…" : formatBindings(current) || "Unassigned"}
+                          </button>
+                        </td>
+                        <td>
+                          {current.length ? (
+                            <button
+                              type="button"
+                              className="node-list-delete"
+                              onClick={() => setBinding(command.id, [])}
+                            >
+                              Clear
+                            </button>
+                          ) : null}
+                          {!isDefault ? (
+                            <button
+                              type="button"
+                              className="node-list-delete"
+                              onClick={() => setBinding(command.id, defaults)}
+                            >
+                              Reset
+                            </button>
+                          ) : null}
+                        </td>
+                      </tr>
+                    );
+                  })}
+              </tbody>
+            </table>
+          </section>
+        ))}
+        <section>
+          <h3>Clipboard &amp; Canvas</h3>
+          <table className="shortcuts-table">
+            <tbody>
+              {FIXED_SHORTCUTS.map((shortcut) => (
+                <tr key={shortcut.title}>
+                  <td>{shortcut.title}</td>
+                  <td>
+                    <kbd>{formatBinding(shortcut.keys)}</kbd>
+                  </td>
+                  <td />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+        <div className="modal-actions">
+          <button type="button" className="open-ai-btn" onClick={() => onChange({ ...DEFAULT_SHORTCUTS })}>
+            Reset All to Defaults
+          </button>
+          <button type="button" className="open-ai-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState } from "react";
+import { filterSnippets, parseTags } from "../lib/snippets";
+
+export default function SnippetsPanel({ snippets, selectedNode, onSave, onDelete, onImport, onExport, onDragStart }) {
+  const [search, setSearch] = useState("");
+  const [name, setName] = useState("");
+  const [tags, setTags] = useState("");
+  const [message, setMessage] = useState("");
+  const visibleSnippets = filterSnippets(snippets, search);
+
+  const saveSelected = () => {
+    onSave({ name: name || selectedNode.data.label, tags: parseTags(tags) });
+    setName("");
+    setTags("");
+    setMessage("");
+  };
+
+  const onFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    try {
+      setMessage(onImport(await file.text()));
+    } catch {
+      setMessage("Could not read the selected file.");
+    } finally {
+      event.target.value = "";
+    }
+  };
+
+  return (
+    <div className="node-editor snippets-panel">
+      <h2>Snippets</h2>
+      {selectedNode ? (
+        <>
+          <label>
+            Snippet Name
+            <input
+              value={name}
+              placeholder={selectedNode.data.label || "Untitled Snippet"}
+              onChange={(event) => setName(event.target.value)}
+            />
+          </label>
+          <label>
+            Tags
+            <input value={tags} placeholder="safety, preamble" onChange={(event) => setTags(event.target.value)} />
+          </label>
+          <button type="button" className="open-ai-btn" onClick={saveSelected}>
+            Save Selected Node as Snippet
+          </button>
+        </>
+      ) : (
+        <p className="subtle">Select a node to save it as a snippet.</p>
+      )}
+      <label>
+        Search Snippets
+        <input
+          value={search}
+          placeholder="Name, text or #tag"
+          onChange={(event) => setSearch(event.target.value)}
+        />
+      </label>
+      <div className="palette snippets-list">
+        {visibleSnippets.map((snippet) => (
+          <div
+            key={snippet.id}
+            className="palette-item snippet-item"
+            draggable
+            onDragStart={(event) => onDragStart(event, snippet)}
+          >
+            <div className="snippet-item-header">
+              <strong>{snippet.name}</strong>
+              <button
+                type="button"
+                className="node-list-delete"
+                onClick={() => onDelete(snippet.id)}
+                aria-label={`Delete snippet ${snippet.name}`}
+              >
+                x
+              </button>
+            </div>
+            <span>
+              {snippet.role} · {snippet.items.length} item{snippet.items.length === 1 ? "" : "s"}
+              {snippet.tags.length ? ` · ${snippet.tags.map((tag) => `#${tag}`).join(" ")}` : ""}
+            </span>
+          </div>
+        ))}
+        {!visibleSnippets.length ? (
+          <p className="subtle">{snippets.length ? "No snippets match your search." : "No snippets saved yet."}</p>
+        ) : null}
+      </div>
+      <button type="button" className="open-ai-btn" onClick={onExport} disabled={!snippets.length}>
+        Export Snippets (.json)
+      </button>
+      <label>
+        Import Snippets (.json)
+        <input type="file" accept=".json,application/json" onChange={onFileSelected} />
+      </label>
+      {message ? <p className="subtle">{message}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useEffect, useState } from "react";
+import {
+  CONTEXT_TARGETS,
+  TOKEN_WARNING_RATIO,
+  countTextTokens,
+  getContextWindow,
+  loadTokenTarget,
+  saveTokenTarget
+} from "../lib/tokens";
+
+export default function TokenBudget({ prompt }) {
+  const [target, setTarget] = useState(loadTokenTarget);
+  const total = countTextTokens(prompt);
+  const contextWindow = getContextWindow(target);
+  const ratio = contextWindow ? total / contextWindow : 0;
+  const status = ratio > 1 ? "over" : ratio >= TOKEN_WARNING_RATIO ? "near" : "ok";
+
+  useEffect(() => {
+    saveTokenTarget(target);
+  }, [target]);
+
+  return (
+    <div className="node-editor token-budget">
+      <h3>Token Budget</h3>
+      <label>
+        Target Model
+        <select
+          value={target.targetId}
+          onChange={(event) => setTarget((current) => ({ ...current, targetId: event.target.value }))}
+        >
+          {CONTEXT_TARGETS.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {target.targetId === "custom" ? (
+        <label>
+          Context Size (tokens)
+          <input
+            type="number"
+            min="1"
+            value={target.customContextWindow}
+            onChange={(event) =>
+              setTarget((current) => ({
+                ...current,
+                customContextWindow: Math.max(1, Number(event.target.value) || 1)
+              }))
+            }
+          />
+        </label>
+      ) : null}
+      <div className={`token-meter ${status}`}>
+        <div className="token-meter-fill" style={{ width: `${Math.min(100, ratio * 100)}%` }} />
+      </div>
+      <p className="subtle">
+        ~{total.toLocaleString()} / {contextWindow.toLocaleString()} tokens ({(ratio * 100).toFixed(1)}%)
+      </p>
+      {status === "over" ? (
+        <p className="error-text">
+          The assembled prompt exceeds the context window by ~{(total - contextWindow).toLocaleString()} tokens.
+        </p>
+      ) : null}
+      {status === "near" ? (
+        <p className="warning-text">The assembled prompt is close to the context window limit.</p>
+      ) : null}
+    </div>
+  );
+}
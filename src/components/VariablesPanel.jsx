@@ -0,0 +1,65 @@
+export default function VariablesPanel({ detected, variables, onChange, onRemove }) {
+  const definitions = new Map(variables.map((variable) => [variable.name, variable]));
+  const detectedNames = new Set(detected.map((item) => item.name));
+  const unused = variables.filter((variable) => !detectedNames.has(variable.name));
+
+  return (
+    <div className="node-editor variables-panel">
+      <h2>Variables</h2>
+      <p className="subtle">
+        Use <code>{"{{name}}"}</code> inside node items. Test values override defaults in the rendered prompt.
+      </p>
+      {!detected.length && !unused.length ? (
+        <p className="subtle">No variables detected yet.</p>
+      ) : null}
+      {detected.map(({ name, nodeIds }) => {
+        const definition = definitions.get(name) ?? { defaultValue: "", testValue: "" };
+        const isResolved = Boolean(definition.testValue || definition.defaultValue);
+        return (
+          <div key={name} className={`variable-row ${isResolved ? "" : "unresolved"}`.trim()}>
+            <div className="variable-row-header">
+              <code>{`{{${name}}}`}</code>
+              <small>
+                {nodeIds.length} node{nodeIds.length === 1 ? "" : "s"}
+              </small>
+            </div>
+            <label>
+              Default
+              <input
+                value={definition.defaultValue}
+                onChange={(event) => onChange(name, { defaultValue: event.target.value })}
+              />
+            </label>
+            <label>
+              Test Value
+              <input
+                value={definition.testValue}
+                onChange={(event) => onChange(name, { testValue: event.target.value })}
+              />
+            </label>
+          </div>
+        );
+      })}
+      {unused.length ? (
+        <>
+          <h3>Unused Definitions</h3>
+          {unused.map((variable) => (
+            <div key={variable.name} className="variable-row unused">
+              <div className="variable-row-header">
+                <code>{`{{${variable.name}}}`}</code>
+                <button
+                  type="button"
+                  className="node-list-delete"
+                  onClick={() => onRemove(variable.name)}
+                  aria-label={`Remove variable ${variable.name}`}
+                >
+                  x
+                </button>
+              </div>
+            </div>
+          ))}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import * as Y from "yjs";
+import { WebsocketProvider } from "y-websocket";
+import {
+  getPresenceColor,
+  getSyncServerUrlError,
+  isEqual,
+  isGraphEmpty,
+  mergeEdges,
+  mergeNodes,
+  readGraph,
+  writeGraph
+} from "../lib/collaboration";
+
+const LOCAL_ORIGIN = "local";
+const SEED_ORIGIN = "seed";
+const UNDO_CAPTURE_MS = 1000;
+
+export default function useCollaboration({
+  flowId,
+  nodes,
+  edges,
+  variables,
+  setNodes,
+  setEdges,
+  setVariables,
+  onOpenRoomFlow
+}) {
+  const latest = useRef({ nodes, edges, variables, onOpenRoomFlow });
+  const session = useRef(null);
+  const [status, setStatus] = useState("disconnected");
+  const [room, setRoom] = useState("");
+  const [peers, setPeers] = useState([]);
+  const [error, setError] = useState("");
+  const [, setUndoVersion] = useState(0);
+
+  latest.current = { nodes, edges, variables, onOpenRoomFlow };
+
+  const disconnect = useCallback((message = "") => {
+    const current = session.current;
+    session.current = null;
+    if (current) {
+      current.undoManager.destroy();
+      current.provider.destroy();
+      current.doc.destroy();
+    }
+    setStatus("disconnected");
+    setPeers([]);
+    setError(message);
+  }, []);
+
+  const connect = useCallback(
+    ({ serverUrl, room: roomName, name }) => {
+      const urlError = getSyncServerUrlError(serverUrl);
+      disconnect(urlError);
+      if (urlError) {
+        return;
+      }
+      const doc = new Y.Doc();
+      // y-websocket appends the room to the URL path as-is.
+      const provider = new WebsocketProvider(serverUrl, encodeURIComponent(roomName), doc);
+      const undoManager = new Y.UndoManager(
+        [doc.getMap("nodes"), doc.getMap("edges"), doc.getMap("variables")],
+        { trackedOrigins: new Set([LOCAL_ORIGIN]), captureTimeout: UNDO_CAPTURE_MS }
+      );
+      const current = { doc, provider, undoManager, flowId, ready: false };
+      session.current = current;
+      setRoom(roomName);
+      setStatus("connecting");
+      setError("");
+
+      provider.awareness.setLocalState({
+        user: { name: name || "Anonymous", color: getPresenceColor(doc.clientID) },
+        cursor: null,
+        selection: []
+      });
+      provider.awareness.on("change", () => {
+        setPeers(
+          [...provider.awareness.getStates()]
+            .filter(([clientId, state]) => clientId !== doc.clientID && state.user)
+            .map(([clientId, state]) => ({
+              clientId,
+              user: state.user,
+              cursor: state.cursor ?? null,
+              selection: state.selection ?? []
+            }))
+        );
+      });
+      provider.on("status", (event) => {
+        if (current.ready) {
+          setStatus(event.status === "connected" ? "connected" : "reconnecting");
+        }
+      });
+      provider.on("connection-error", () => {
+        if (!current.ready) {
+          setError(`Could not reach ${serverUrl}. Is the sync server running?`);
+        }
+      });
+
+      // An empty room is seeded from the local flow; otherwise it opens as a new flow.
+      provider.on("sync", (isSynced) => {
+        if (!isSynced || current.ready || session.current !== current) {
+          return;
+        }
+        if (isGraphEmpty(doc)) {
+          doc.transact(() => writeGraph(doc, latest.current), SEED_ORIGIN);
+        } else {
+          const openedFlowId = latest.current.onOpenRoomFlow(readGraph(doc), roomName);
+          if (!openedFlowId) {
+            disconnect();
+            return;
+          }
+          current.flowId = openedFlowId;
+        }
+        current.ready = true;
+        setStatus("connected");
+      });
+
+      doc.on("afterTransaction", (transaction) => {
+        if (!current.ready || transaction.origin === LOCAL_ORIGIN || transaction.origin === SEED_ORIGIN) {
+          return;
+        }
+        if (!transaction.changed.size) {
+          return;
+        }
+        const graph = readGraph(doc);
+        setNodes((currentNodes) => mergeNodes(currentNodes, graph.nodes));
+        setEdges((currentEdges) => mergeEdges(currentEdges, graph.edges));
+        setVariables((currentVariables) =>
+          isEqual(currentVariables, graph.variables) ? currentVariables : graph.variables
+        );
+      });
+      undoManager.on("stack-item-added", () => setUndoVersion((version) => version + 1));
+      undoManager.on("stack-item-popped", () => setUndoVersion((version) => version + 1));
+    },
+    [flowId, disconnect, setNodes, setEdges, setVariables]
+  );
+
+  useEffect(() => {
+    const current = session.current;
+    if (current?.ready) {
+      current.doc.transact(() => writeGraph(current.doc, { nodes, edges, variables }), LOCAL_ORIGIN);
+    }
+  }, [nodes, edges, variables, status]);
+
+  // A session belongs to one flow; switching flows leaves the room.
+  useEffect(() => {
+    if (session.current && session.current.flowId !== flowId) {
+      disconnect();
+    }
+  }, [flowId, disconnect]);
+
+  useEffect(() => () => disconnect(), [disconnect]);
+
+  const updatePresence = useCallback((patch) => {
+    const awareness = session.current?.provider.awareness;
+    if (awareness) {
+      Object.entries(patch).forEach(([field, value]) => awareness.setLocalStateField(field, value));
+    }
+  }, []);
+
+  const undo = useCallback(() => session.current?.undoManager.undo(), []);
+  const redo = useCallback(() => session.current?.undoManager.redo(), []);
+
+  const undoManager = session.current?.ready ? session.current.undoManager : null;
+  return {
+    status,
+    room,
+    peers,
+    error,
+    isConnected: Boolean(undoManager),
+    connect,
+    disconnect,
+    updatePresence,
+    undo,
+    redo,
+    canUndo: Boolean(undoManager?.canUndo()),
+    canRedo: Boolean(undoManager?.canRedo())
+  };
+}
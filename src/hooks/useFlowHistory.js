@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const HISTORY_LIMIT = 100;
+const COALESCE_WINDOW_MS = 1000;
+
+export default function useFlowHistory({ nodes, edges, variables, setNodes, setEdges, setVariables }) {
+  const latest = useRef({ nodes, edges, variables });
+  const past = useRef([]);
+  const future = useRef([]);
+  const lastRecord = useRef({ key: null, at: 0 });
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    latest.current = { nodes, edges, variables };
+  }, [nodes, edges, variables]);
+
+  const bump = () => setVersion((current) => current + 1);
+
+  // Call before a mutation; records sharing a `coalesceKey` in the window coalesce.
+  const record = useCallback((coalesceKey = null) => {
+    const now = Date.now();
+    const previous = lastRecord.current;
+    lastRecord.current = { key: coalesceKey, at: now };
+    if (coalesceKey && previous.key === coalesceKey && now - previous.at < COALESCE_WINDOW_MS) {
+      return;
+    }
+    // `latest` catches up after render, so skip a duplicate from the same tick.
+    const snapshot = latest.current;
+    const top = past.current[past.current.length - 1];
+    if (!top || ["nodes", "edges", "variables"].some((key) => top[key] !== snapshot[key])) {
+      past.current = [...past.current, snapshot].slice(-HISTORY_LIMIT);
+    }
+    future.current = [];
+    bump();
+  }, []);
+
+  const restore = useCallback(
+    (snapshot) => {
+      latest.current = snapshot;
+      setNodes(snapshot.nodes);
+      setEdges(snapshot.edges);
+      setVariables(snapshot.variables);
+      lastRecord.current = { key: null, at: 0 };
+      bump();
+    },
+    [setNodes, setEdges, setVariables]
+  );
+
+  const undo = useCallback(() => {
+    const snapshot = past.current[past.current.length - 1];
+    if (!snapshot) {
+      return;
+    }
+    past.current = past.current.slice(0, -1);
+    future.current = [...future.current, latest.current];
+    restore(snapshot);
+  }, [restore]);
+
+  const redo = useCallback(() => {
+    const snapshot = future.current[future.current.length - 1];
+    if (!snapshot) {
+      return;
+    }
+    future.current = future.current.slice(0, -1);
+    past.current = [...past.current, latest.current].slice(-HISTORY_LIMIT);
+    restore(snapshot);
+  }, [restore]);
+
+  const clear = useCallback(() => {
+    past.current = [];
+    future.current = [];
+    lastRecord.current = { key: null, at: 0 };
+    bump();
+  }, []);
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: past.current.length > 0,
+    canRedo: future.current.length > 0
+  };
+}
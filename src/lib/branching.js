@@ -0,0 +1,194 @@
+const FALLBACK_PREDICATES = new Set(["", "else", "default", "otherwise"]);
+
+const TOKEN_PATTERN =
+  /\s*(?:(\|\||&&|==|!=|>=|<=|>|<|!|\(|\))|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w.-]*))/y;
+
+function tokenizePredicate(source) {
+  const tokens = [];
+  let index = 0;
+  while (index < source.length) {
+    if (!source.slice(index).trim()) {
+      break;
+    }
+    TOKEN_PATTERN.lastIndex = index;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character '${source.slice(index).trim()[0]}' in predicate.`);
+    }
+    index = TOKEN_PATTERN.lastIndex;
+    if (match[1]) {
+      tokens.push({ type: "op", value: match[1] });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({ type: "literal", value: (match[2] ?? match[3]).replace(/\\(.)/g, "$1") });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: "literal", value: Number(match[4]) });
+    } else if (match[5] === "true" || match[5] === "false") {
+      tokens.push({ type: "literal", value: match[5] === "true" });
+    } else {
+      tokens.push({ type: "name", value: match[5] });
+    }
+  }
+  return tokens;
+}
+
+function compareValues(left, operator, right) {
+  const bothNumeric =
+    left !== "" && right !== "" && !Number.isNaN(Number(left)) && !Number.isNaN(Number(right));
+  const a = bothNumeric ? Number(left) : String(left ?? "");
+  const b = bothNumeric ? Number(right) : String(right ?? "");
+  switch (operator) {
+    case "==":
+      return a === b;
+    case "!=":
+      return a !== b;
+    case ">":
+      return a > b;
+    case "<":
+      return a < b;
+    case ">=":
+      return a >= b;
+    case "<=":
+      return a <= b;
+    default:
+      return false;
+  }
+}
+
+function isTruthy(value) {
+  if (typeof value === "string") {
+    return value !== "" && value !== "false" && value !== "0";
+  }
+  return Boolean(value);
+}
+
+export function evaluatePredicate(predicate, values = {}) {
+  const tokens = tokenizePredicate(predicate);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const take = () => tokens[position++];
+  const expectOp = (value) => {
+    const token = take();
+    if (!token || token.type !== "op" || token.value !== value) {
+      throw new Error(`Expected '${value}' in predicate.`);
+    }
+  };
+
+  const parseOperand = () => {
+    const token = take();
+    if (!token) {
+      throw new Error("Predicate ended unexpectedly.");
+    }
+    if (token.type === "op" && token.value === "(") {
+      const value = parseOr();
+      expectOp(")");
+      return value;
+    }
+    if (token.type === "op" && token.value === "!") {
+      return !isTruthy(parseOperand());
+    }
+    if (token.type === "literal") {
+      return token.value;
+    }
+    if (token.type === "name") {
+      return Object.prototype.hasOwnProperty.call(values, token.value) ? values[token.value] : "";
+    }
+    throw new Error(`Unexpected '${token.value}' in predicate.`);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+    if (token?.type === "op" && ["==", "!=", ">", "<", ">=", "<="].includes(token.value)) {
+      take();
+      return compareValues(left, token.value, parseOperand());
+    }
+    return isTruthy(left);
+  };
+
+  const parseAnd = () => {
+    let result = parseComparison();
+    while (peek()?.type === "op" && peek().value === "&&") {
+      take();
+      const right = parseComparison();
+      result = result && right;
+    }
+    return result;
+  };
+
+  function parseOr() {
+    let result = parseAnd();
+    while (peek()?.type === "op" && peek().value === "||") {
+      take();
+      const right = parseAnd();
+      result = result || right;
+    }
+    return result;
+  }
+
+  const result = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position].value}' in predicate.`);
+  }
+  return Boolean(result);
+}
+
+export function getEdgeBranch(edge) {
+  return {
+    label: typeof edge?.data?.label === "string" ? edge.data.label : "",
+    predicate: typeof edge?.data?.predicate === "string" ? edge.data.predicate : ""
+  };
+}
+
+export function describeBranch(edge) {
+  const { label, predicate } = getEdgeBranch(edge);
+  return label || predicate || "(unlabelled branch)";
+}
+
+export function isFallbackPredicate(predicate = "") {
+  return FALLBACK_PREDICATES.has(predicate.trim().toLowerCase());
+}
+
+export function selectBranchEdge(conditionNode, outgoingEdges, values = {}) {
+  if (!outgoingEdges.length) {
+    return { edge: null, reason: "no-branches" };
+  }
+
+  const manualId = conditionNode?.data?.activeBranch;
+  if (manualId && manualId !== "auto") {
+    const manual = outgoingEdges.find((edge) => edge.id === manualId);
+    if (manual) {
+      return { edge: manual, reason: "manual" };
+    }
+  }
+
+  let fallback = null;
+  for (const edge of outgoingEdges) {
+    const { predicate } = getEdgeBranch(edge);
+    if (isFallbackPredicate(predicate)) {
+      fallback = fallback ?? edge;
+      continue;
+    }
+    try {
+      if (evaluatePredicate(predicate, values)) {
+        return { edge, reason: "predicate" };
+      }
+    } catch {
+      // Invalid predicates never match; they are reported in the edge editor.
+    }
+  }
+
+  if (fallback) {
+    return { edge: fallback, reason: "fallback" };
+  }
+  return { edge: outgoingEdges[0], reason: "first" };
+}
+
+export function applyEdgeBranch(edge, patch = {}) {
+  const branch = { ...getEdgeBranch(edge), ...patch };
+  return {
+    ...edge,
+    data: { ...edge.data, label: branch.label, predicate: branch.predicate },
+    label: branch.label || branch.predicate || undefined
+  };
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { applyEdgeBranch, evaluatePredicate, selectBranchEdge } from "./branching";
+
+describe("evaluatePredicate", () => {
+  it("compares numbers numerically and everything else as text", () => {
+    expect(evaluatePredicate("count > 9", { count: "10" })).toBe(true);
+    expect(evaluatePredicate("tier == 'pro'", { tier: "pro" })).toBe(true);
+    expect(evaluatePredicate("tier != \"pro\"", { tier: "free" })).toBe(true);
+  });
+
+  it("supports boolean operators, negation and grouping", () => {
+    const values = { a: "true", b: "0", c: "yes" };
+    expect(evaluatePredicate("a && !b", values)).toBe(true);
+    expect(evaluatePredicate("b || (c && a)", values)).toBe(true);
+    expect(evaluatePredicate("missing", values)).toBe(false);
+  });
+
+  it("throws on malformed predicates", () => {
+    expect(() => evaluatePredicate("a ==", {})).toThrow("Predicate ended unexpectedly.");
+    expect(() => evaluatePredicate("(a", {})).toThrow("Expected ')' in predicate.");
+    expect(() => evaluatePredicate("a # b", {})).toThrow("Unexpected character '#'");
+  });
+});
+
+describe("selectBranchEdge", () => {
+  const edges = [
+    applyEdgeBranch({ id: "broken", source: "c", target: "x" }, { predicate: "tier ==" }),
+    applyEdgeBranch({ id: "else", source: "c", target: "y" }, { predicate: "else" }),
+    applyEdgeBranch({ id: "pro", source: "c", target: "z" }, { label: "Pro", predicate: "tier == 'pro'" })
+  ];
+
+  it("takes the first matching predicate, then the fallback", () => {
+    expect(selectBranchEdge({ data: {} }, edges, { tier: "pro" })).toEqual({ edge: edges[2], reason: "predicate" });
+    expect(selectBranchEdge({ data: {} }, edges, { tier: "free" })).toEqual({ edge: edges[1], reason: "fallback" });
+  });
+
+  it("prefers a manually chosen branch", () => {
+    const condition = { data: { activeBranch: "broken" } };
+    expect(selectBranchEdge(condition, edges, { tier: "pro" })).toEqual({ edge: edges[0], reason: "manual" });
+  });
+
+  it("falls back to the first edge without a fallback branch", () => {
+    expect(selectBranchEdge({ data: {} }, [edges[0]], {})).toEqual({ edge: edges[0], reason: "first" });
+    expect(selectBranchEdge({ data: {} }, [], {})).toEqual({ edge: null, reason: "no-branches" });
+  });
+});
@@ -0,0 +1,231 @@
+import * as Y from "yjs";
+import { formatNodeContent } from "./examples";
+import { readJson, writeJson } from "./storage";
+import { normalizeVariables } from "./variables";
+
+// Y.Doc maps: `nodes`, `edges`, `variables`. Item text is a Y.Text so concurrent
+// typing merges; `content` is derived and never stored.
+export const COLLABORATION_STORAGE_KEY = "prompt-flow-designer.collaboration.v1";
+export const DEFAULT_SYNC_SERVER_URL = "ws://localhost:1234";
+export const PRESENCE_COLORS = ["#e11d48", "#2563eb", "#16a34a", "#d97706", "#9333ea", "#0891b2", "#db2777"];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Deep equality for JSON-like values; keys holding `undefined` count as absent.
+export function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((value, index) => isEqual(value, b[index]))
+    );
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) {
+    return false;
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => isEqual(a[key], b[key]));
+}
+
+export function getSyncServerUrlError(serverUrl) {
+  try {
+    const { protocol } = new URL(serverUrl);
+    return protocol === "ws:" || protocol === "wss:" ? "" : "Sync server URL must start with ws:// or wss://.";
+  } catch {
+    return "Sync server URL is not a valid URL (e.g. ws://localhost:1234).";
+  }
+}
+
+export function loadCollaborationSettings() {
+  const stored = readJson(COLLABORATION_STORAGE_KEY) ?? {};
+  const serverUrl = typeof stored.serverUrl === "string" ? stored.serverUrl.trim() : "";
+  return {
+    serverUrl: serverUrl || DEFAULT_SYNC_SERVER_URL,
+    room: typeof stored.room === "string" ? stored.room : "",
+    name: typeof stored.name === "string" ? stored.name : ""
+  };
+}
+
+export function saveCollaborationSettings(settings) {
+  writeJson(COLLABORATION_STORAGE_KEY, settings);
+}
+
+export const getPresenceColor = (clientId) => PRESENCE_COLORS[clientId % PRESENCE_COLORS.length];
+
+const setIfChanged = (map, key, value) => {
+  if (value === undefined) {
+    if (map.has(key)) {
+      map.delete(key);
+    }
+  } else if (!isEqual(map.get(key), value)) {
+    map.set(key, value);
+  }
+};
+
+// Smallest single edit, so a concurrent edit elsewhere in the text survives.
+const setText = (yText, next) => {
+  const current = yText.toString();
+  if (current === next) {
+    return;
+  }
+  let start = 0;
+  while (start < current.length && start < next.length && current[start] === next[start]) {
+    start += 1;
+  }
+  let end = 0;
+  while (
+    end < current.length - start &&
+    end < next.length - start &&
+    current[current.length - 1 - end] === next[next.length - 1 - end]
+  ) {
+    end += 1;
+  }
+  yText.delete(start, current.length - start - end);
+  yText.insert(start, next.slice(start, next.length - end));
+};
+
+const writeListItem = (yItem, item) => {
+  Object.entries(item).forEach(([key, value]) => {
+    if (key === "text") {
+      if (!(yItem.get("text") instanceof Y.Text)) {
+        yItem.set("text", new Y.Text());
+      }
+      setText(yItem.get("text"), value ?? "");
+    } else {
+      setIfChanged(yItem, key, value);
+    }
+  });
+  [...yItem.keys()].filter((key) => !(key in item)).forEach((key) => yItem.delete(key));
+};
+
+// Duplicates left by concurrent moves are trimmed from the end.
+const writeListItems = (yItems, items) => {
+  const wanted = new Set(items.map((item) => item.id));
+  for (let index = yItems.length - 1; index >= 0; index -= 1) {
+    if (!wanted.has(yItems.get(index).get("id"))) {
+      yItems.delete(index, 1);
+    }
+  }
+  items.forEach((item, index) => {
+    if (index < yItems.length && yItems.get(index).get("id") === item.id) {
+      writeListItem(yItems.get(index), item);
+      return;
+    }
+    const existing = yItems
+      .toArray()
+      .findIndex((entry, entryIndex) => entryIndex > index && entry.get("id") === item.id);
+    if (existing !== -1) {
+      yItems.delete(existing, 1);
+    }
+    const yItem = new Y.Map();
+    yItems.insert(index, [yItem]);
+    writeListItem(yItem, item);
+  });
+  if (yItems.length > items.length) {
+    yItems.delete(items.length, yItems.length - items.length);
+  }
+};
+
+const writeNode = (yNode, node) => {
+  setIfChanged(yNode, "type", node.type);
+  setIfChanged(yNode, "position", { x: node.position.x, y: node.position.y });
+  if (!(yNode.get("data") instanceof Y.Map)) {
+    yNode.set("data", new Y.Map());
+  }
+  const yData = yNode.get("data");
+  const { content, listItems = [], ...fields } = node.data;
+  Object.entries(fields).forEach(([key, value]) => setIfChanged(yData, key, value));
+  [...yData.keys()]
+    .filter((key) => key !== "listItems" && !(key in fields))
+    .forEach((key) => yData.delete(key));
+  if (!(yData.get("listItems") instanceof Y.Array)) {
+    yData.set("listItems", new Y.Array());
+  }
+  writeListItems(yData.get("listItems"), listItems);
+};
+
+const stripEdge = ({ selected, animated, className, ...edge }) => edge;
+
+const writeKeyed = (yMap, entries, keyOf, write) => {
+  const keys = new Set(entries.map(keyOf));
+  [...yMap.keys()].filter((key) => !keys.has(key)).forEach((key) => yMap.delete(key));
+  entries.forEach((entry) => write(yMap, keyOf(entry), entry));
+};
+
+// Call inside a transaction.
+export function writeGraph(doc, { nodes, edges, variables }) {
+  writeKeyed(doc.getMap("nodes"), nodes, (node) => node.id, (yNodes, id, node) => {
+    if (!(yNodes.get(id) instanceof Y.Map)) {
+      yNodes.set(id, new Y.Map());
+    }
+    writeNode(yNodes.get(id), node);
+  });
+  writeKeyed(doc.getMap("edges"), edges.map(stripEdge), (edge) => edge.id, setIfChanged);
+  writeKeyed(doc.getMap("variables"), normalizeVariables(variables), (variable) => variable.name, setIfChanged);
+}
+
+const readNode = (id, yNode) => {
+  const { listItems = [], ...fields } = yNode.get("data")?.toJSON() ?? {};
+  const seen = new Set();
+  const items = listItems.filter((item) => !seen.has(item.id) && seen.add(item.id));
+  return {
+    id,
+    type: yNode.get("type") ?? "promptNode",
+    position: yNode.get("position") ?? { x: 0, y: 0 },
+    data: { ...fields, listItems: items }
+  };
+};
+
+export function readGraph(doc) {
+  return {
+    nodes: [...doc.getMap("nodes").entries()].map(([id, yNode]) => readNode(id, yNode)),
+    edges: [...doc.getMap("edges").values()],
+    variables: normalizeVariables([...doc.getMap("variables").values()])
+  };
+}
+
+export const isGraphEmpty = (doc) => doc.getMap("nodes").size === 0 && doc.getMap("edges").size === 0;
+
+export const materializeNode = (node) => ({
+  ...node,
+  data: { ...node.data, content: formatNodeContent(node.data) }
+});
+
+const toSyncedNode = ({ id, type, position, data: { content, ...data } }) => ({
+  id,
+  type,
+  position: { x: position.x, y: position.y },
+  data
+});
+
+// Unchanged entries keep their identity and local-only fields (selection, size).
+export function mergeNodes(current, shared) {
+  const sharedById = new Map(shared.map((node) => [node.id, node]));
+  const merged = current
+    .filter((node) => sharedById.has(node.id))
+    .map((node) => {
+      const next = sharedById.get(node.id);
+      sharedById.delete(node.id);
+      if (isEqual(toSyncedNode(node), next)) {
+        return node;
+      }
+      return { ...node, ...materializeNode(next) };
+    });
+  return [...merged, ...[...sharedById.values()].map(materializeNode)];
+}
+
+export function mergeEdges(current, shared) {
+  const sharedById = new Map(shared.map((edge) => [edge.id, edge]));
+  const merged = current
+    .filter((edge) => sharedById.has(edge.id))
+    .map((edge) => {
+      const next = sharedById.get(edge.id);
+      sharedById.delete(edge.id);
+      return isEqual(stripEdge(edge), next) ? edge : { ...next, selected: edge.selected };
+    });
+  return [...merged, ...sharedById.values()];
+}
@@ -0,0 +1,15 @@
+import { describe, expect, it } from "vitest";
+import { getSyncServerUrlError } from "./collaboration";
+
+describe("getSyncServerUrlError", () => {
+  it("accepts ws and wss URLs", () => {
+    expect(getSyncServerUrlError("ws://localhost:1234")).toBe("");
+    expect(getSyncServerUrlError("wss://sync.example.com/rooms")).toBe("");
+  });
+
+  it("rejects other schemes and unparseable input", () => {
+    expect(getSyncServerUrlError("http://localhost:1234")).toMatch(/ws:\/\//);
+    expect(getSyncServerUrlError("localhost:1234x")).not.toBe("");
+    expect(getSyncServerUrlError("not a url")).toMatch(/not a valid URL/);
+  });
+});
@@ -0,0 +1,79 @@
+import { formatContent } from "./listItems";
+
+// The shuffle seed is stored so the prompt only changes when the user reshuffles.
+export const DEFAULT_EXAMPLE_OPTIONS = { shuffle: false, seed: 1, limit: 0 };
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+export const createExample = (input = "", output = "") => ({
+  id: `ex-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  input,
+  output
+});
+
+export const normalizeExamples = (examples) =>
+  (Array.isArray(examples) ? examples : []).filter(isPlainObject).map((example) => ({
+    id: typeof example.id === "string" && example.id ? example.id : createExample().id,
+    input: typeof example.input === "string" ? example.input : "",
+    output: typeof example.output === "string" ? example.output : ""
+  }));
+
+export function normalizeExampleOptions(options) {
+  const value = isPlainObject(options) ? options : {};
+  return {
+    shuffle: value.shuffle === true,
+    seed: Number.isInteger(value.seed) ? value.seed : DEFAULT_EXAMPLE_OPTIONS.seed,
+    limit: Number.isInteger(value.limit) && value.limit > 0 ? value.limit : 0
+  };
+}
+
+export const createShuffleSeed = () => Math.floor(Math.random() * 2 ** 31);
+
+// mulberry32
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export function selectExamples(examples, options) {
+  const { shuffle, seed, limit } = normalizeExampleOptions(options);
+  const selected = normalizeExamples(examples).filter((example) => example.input.trim() || example.output.trim());
+  if (shuffle) {
+    const random = seededRandom(seed);
+    for (let index = selected.length - 1; index > 0; index -= 1) {
+      const swap = Math.floor(random() * (index + 1));
+      [selected[index], selected[swap]] = [selected[swap], selected[index]];
+    }
+  }
+  return limit ? selected.slice(0, limit) : selected;
+}
+
+export const formatExamples = (examples, options) =>
+  selectExamples(examples, options)
+    .map((example, index) => `Example ${index + 1}\nInput: ${example.input.trim()}\nOutput: ${example.output.trim()}`)
+    .join("\n\n");
+
+export const formatNodeContent = (data) =>
+  data.role === "examples"
+    ? formatExamples(data.examples, data.exampleOptions)
+    : formatContent(data.listItems, data.contentFormat);
+
+const CHAT_ROLES = new Set(["system", "user", "assistant"]);
+
+// `key` picks rendered ("content") or raw ("template") text.
+export const toChatMessages = (sequence, key = "content") =>
+  sequence.flatMap((item) => {
+    if (item.role === "examples") {
+      return (item.examples?.[key] ?? []).flatMap((example) => [
+        { role: "user", content: example.input },
+        { role: "assistant", content: example.output }
+      ]);
+    }
+    return CHAT_ROLES.has(item.role) ? [{ role: item.role, content: item[key] ?? item.content ?? "" }] : [];
+  });
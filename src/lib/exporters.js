@@ -0,0 +1,73 @@
+import { toChatMessages } from "./examples";
+
+export const EXPORT_FORMATS = [
+  { id: "openai-chat", label: "OpenAI Chat Completions", extension: "json", defaultModel: "gpt-4.1-mini" },
+  { id: "openai-responses", label: "OpenAI Responses", extension: "json", defaultModel: "gpt-4.1-mini" },
+  { id: "anthropic", label: "Anthropic Messages", extension: "json", defaultModel: "claude-sonnet-4-5" },
+  { id: "jsonl", label: "Generic JSONL line", extension: "jsonl", defaultModel: "" }
+];
+
+const toChatTurns = (sequence) => toChatMessages(sequence);
+
+const mergeConsecutiveRoles = (turns) =>
+  turns.reduce((merged, turn) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === turn.role) {
+      previous.content = [previous.content, turn.content].filter(Boolean).join("\n\n");
+    } else {
+      merged.push({ ...turn });
+    }
+    return merged;
+  }, []);
+
+export function toOpenAIChatPayload(sequence, model) {
+  return { model, messages: toChatTurns(sequence) };
+}
+
+export function toOpenAIResponsesPayload(sequence, model) {
+  return { model, input: toChatTurns(sequence) };
+}
+
+export const ANTHROPIC_LEADING_USER_TURN = "Continue.";
+
+export const needsLeadingUserTurn = (sequence) =>
+  toChatTurns(sequence).find((turn) => turn.role !== "system")?.role === "assistant";
+
+// The Messages API takes `system` at the top level and alternating turns that start with the user.
+export function toAnthropicPayload(sequence, model, maxTokens = 1024) {
+  const turns = toChatTurns(sequence);
+  const system = turns
+    .filter((turn) => turn.role === "system")
+    .map((turn) => turn.content)
+    .filter(Boolean)
+    .join("\n\n");
+  const messages = mergeConsecutiveRoles(turns.filter((turn) => turn.role !== "system"));
+  if (messages[0]?.role === "assistant") {
+    messages.unshift({ role: "user", content: ANTHROPIC_LEADING_USER_TURN });
+  }
+  return {
+    model,
+    max_tokens: maxTokens,
+    ...(system ? { system } : {}),
+    messages
+  };
+}
+
+export function toJsonlLine(sequence) {
+  return JSON.stringify({ messages: toChatTurns(sequence) });
+}
+
+export function exportSequence(formatId, sequence, model) {
+  switch (formatId) {
+    case "openai-chat":
+      return JSON.stringify(toOpenAIChatPayload(sequence, model), null, 2);
+    case "openai-responses":
+      return JSON.stringify(toOpenAIResponsesPayload(sequence, model), null, 2);
+    case "anthropic":
+      return JSON.stringify(toAnthropicPayload(sequence, model), null, 2);
+    case "jsonl":
+      return `${toJsonlLine(sequence)}\n`;
+    default:
+      throw new Error(`Unknown export format '${formatId}'.`);
+  }
+}
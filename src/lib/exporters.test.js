@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { ANTHROPIC_LEADING_USER_TURN, needsLeadingUserTurn, toAnthropicPayload, toOpenAIChatPayload } from "./exporters";
+
+const step = (role, content) => ({ role, content, template: content });
+
+describe("toAnthropicPayload", () => {
+  it("lifts system turns and merges same-role neighbours", () => {
+    const sequence = [step("system", "Be kind."), step("user", "Hi"), step("user", "There"), step("system", "Be brief.")];
+    expect(toAnthropicPayload(sequence, "m")).toEqual({
+      model: "m",
+      max_tokens: 1024,
+      system: "Be kind.\n\nBe brief.",
+      messages: [{ role: "user", content: "Hi\n\nThere" }]
+    });
+  });
+
+  it("adds a placeholder user turn before a leading assistant turn", () => {
+    const sequence = [step("system", "S"), step("assistant", "Hello!"), step("user", "Hi")];
+    expect(needsLeadingUserTurn(sequence)).toBe(true);
+    expect(toAnthropicPayload(sequence, "m").messages).toEqual([
+      { role: "user", content: ANTHROPIC_LEADING_USER_TURN },
+      { role: "assistant", content: "Hello!" },
+      { role: "user", content: "Hi" }
+    ]);
+  });
+
+  it("expands examples into user/assistant pairs", () => {
+    const examples = { content: [{ input: "2+2", output: "4" }] };
+    const sequence = [{ role: "examples", content: "", examples }, step("user", "3+3")];
+    expect(needsLeadingUserTurn(sequence)).toBe(false);
+    expect(toAnthropicPayload(sequence, "m").messages).toEqual([
+      { role: "user", content: "2+2" },
+      { role: "assistant", content: "4" },
+      { role: "user", content: "3+3" }
+    ]);
+  });
+});
+
+describe("toOpenAIChatPayload", () => {
+  it("keeps system turns in place and drops condition steps", () => {
+    const sequence = [step("system", "S"), step("condition", "if"), step("user", "U")];
+    expect(toOpenAIChatPayload(sequence, "m").messages).toEqual([
+      { role: "system", content: "S" },
+      { role: "user", content: "U" }
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+import { formatNodeContent } from "./examples";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export function createSearchPattern(query, { caseSensitive = false, regex = false } = {}) {
+  if (!query) {
+    return { pattern: null, error: "" };
+  }
+  try {
+    return {
+      pattern: new RegExp(regex ? query : escapeRegExp(query), caseSensitive ? "g" : "gi"),
+      error: ""
+    };
+  } catch (error) {
+    return { pattern: null, error: error.message };
+  }
+}
+
+// Skip empty matches (`^`, `x*`).
+const matchRanges = (text, pattern) =>
+  [...text.matchAll(pattern)]
+    .filter((match) => match[0].length)
+    .map((match) => ({ start: match.index, end: match.index + match[0].length }));
+
+const EXAMPLE_FIELDS = ["input", "output"];
+
+const byCanvasPosition = (a, b) => a.position.y - b.position.y || a.position.x - b.position.x;
+
+// `field` is label, item, input or output; `itemId` is the list item or example id.
+export function findInNodes(nodes, pattern) {
+  if (!pattern) {
+    return [];
+  }
+  return [...nodes]
+    .sort(byCanvasPosition)
+    .map((node) => {
+      const label = node.data.label ?? "";
+      const matches = matchRanges(label, pattern).map((range) => ({
+        nodeId: node.id,
+        field: "label",
+        itemId: null,
+        text: label,
+        ...range
+      }));
+      (node.data.listItems ?? []).forEach((item) => {
+        matchRanges(item.text ?? "", pattern).forEach((range) =>
+          matches.push({ nodeId: node.id, field: "item", itemId: item.id, text: item.text, ...range })
+        );
+      });
+      (node.data.role === "examples" ? node.data.examples ?? [] : []).forEach((example) => {
+        EXAMPLE_FIELDS.forEach((field) => {
+          matchRanges(example[field] ?? "", pattern).forEach((range) =>
+            matches.push({ nodeId: node.id, field, itemId: example.id, text: example[field], ...range })
+          );
+        });
+      });
+      return {
+        nodeId: node.id,
+        label: label || node.id,
+        role: node.data.role,
+        matches: matches.map((match) => ({
+          ...match,
+          key: `${match.nodeId}:${match.itemId ?? "label"}:${match.field}:${match.start}`
+        }))
+      };
+    })
+    .filter((group) => group.matches.length);
+}
+
+// Replacements are computed on the full text so anchors and lookbehind still match.
+export function replaceMatches(nodes, pattern, replacement, matches, { regex = false } = {}) {
+  const sticky = new RegExp(pattern.source, `${pattern.flags.replace("g", "")}y`);
+  const expand = (text, match) => {
+    if (!regex) {
+      return replacement;
+    }
+    sticky.lastIndex = match.index;
+    const replaced = text.replace(sticky, replacement);
+    return replaced.slice(match.index, replaced.length - (text.length - match.index - match[0].length));
+  };
+  const replaceAt = (text, ranges) => {
+    const starts = new Set(ranges.map((range) => range.start));
+    return [...text.matchAll(pattern)]
+      .filter((match) => match[0].length && starts.has(match.index))
+      .map((match) => ({ start: match.index, end: match.index + match[0].length, value: expand(text, match) }))
+      .reverse()
+      .reduce((current, range) => current.slice(0, range.start) + range.value + current.slice(range.end), text);
+  };
+
+  const byNode = new Map();
+  matches.forEach((match) => {
+    if (!byNode.has(match.nodeId)) {
+      byNode.set(match.nodeId, []);
+    }
+    byNode.get(match.nodeId).push(match);
+  });
+
+  return nodes.map((node) => {
+    const nodeMatches = byNode.get(node.id);
+    if (!nodeMatches) {
+      return node;
+    }
+    const labelMatches = nodeMatches.filter((match) => match.field === "label");
+    const contentChanged = nodeMatches.some((match) => match.field !== "label");
+    const listItems = (node.data.listItems ?? []).map((item) => {
+      const itemMatches = nodeMatches.filter((match) => match.field === "item" && match.itemId === item.id);
+      return itemMatches.length ? { ...item, text: replaceAt(item.text ?? "", itemMatches) } : item;
+    });
+    const data = {
+      ...node.data,
+      label: labelMatches.length ? replaceAt(node.data.label ?? "", labelMatches) : node.data.label,
+      listItems
+    };
+    if (node.data.role === "examples" && Array.isArray(node.data.examples)) {
+      data.examples = node.data.examples.map((example) =>
+        EXAMPLE_FIELDS.reduce((next, field) => {
+          const fieldMatches = nodeMatches.filter((match) => match.field === field && match.itemId === example.id);
+          return fieldMatches.length ? { ...next, [field]: replaceAt(example[field] ?? "", fieldMatches) } : next;
+        }, example)
+      );
+    }
+    return { ...node, data: { ...data, content: contentChanged ? formatNodeContent(data) : node.data.content } };
+  });
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { createSearchPattern, findInNodes, replaceMatches } from "./findReplace";
+
+const node = (id, text, position = { x: 0, y: 0 }) => ({
+  id,
+  position,
+  data: { role: "user", label: id, listItems: [{ id: `${id}-1`, text, level: 1 }], content: "" }
+});
+
+const replaceAll = (nodes, query, replacement, options = {}) => {
+  const { pattern } = createSearchPattern(query, options);
+  const matches = findInNodes(nodes, pattern).flatMap((group) => group.matches);
+  return replaceMatches(nodes, pattern, replacement, matches, options);
+};
+
+describe("findInNodes", () => {
+  it("groups matches top to bottom, then left to right", () => {
+    const nodes = [
+      node("low", "x", { x: 0, y: 300 }),
+      node("right", "x", { x: 400, y: 0 }),
+      node("left", "x", { x: 0, y: 0 })
+    ];
+    const { pattern } = createSearchPattern("x");
+    expect(findInNodes(nodes, pattern).map((group) => group.nodeId)).toEqual(["left", "right", "low"]);
+  });
+
+  it("skips empty regex matches", () => {
+    const { pattern } = createSearchPattern("^", { regex: true });
+    expect(findInNodes([node("a", "text")], pattern)).toEqual([]);
+  });
+});
+
+describe("replaceMatches", () => {
+  it("inserts plain-text replacements literally", () => {
+    const [result] = replaceAll([node("a", "cost 5 and 5")], "5", "$& $$ $1");
+    expect(result.data.listItems[0].text).toBe("cost $& $$ $1 and $& $$ $1");
+    expect(result.data.content).toBe("1 cost $& $$ $1 and $& $$ $1");
+  });
+
+  it("expands group references in regex mode", () => {
+    const [result] = replaceAll([node("a", "a1 b2")], "(\\w)(\\d)", "$2$1", { regex: true });
+    expect(result.data.listItems[0].text).toBe("1a 2b");
+  });
+
+  it("evaluates anchors and lookbehind against the full text", () => {
+    expect(replaceAll([node("a", "foo foo")], "^foo", "bar", { regex: true })[0].data.listItems[0].text).toBe(
+      "bar foo"
+    );
+    expect(replaceAll([node("a", "aXbX")], "(?<=a)X", "Y", { regex: true })[0].data.listItems[0].text).toBe("aYbX");
+  });
+
+  it("replaces only the selected match", () => {
+    const nodes = [node("a", "foo foo foo")];
+    const { pattern } = createSearchPattern("foo");
+    const matches = findInNodes(nodes, pattern)[0].matches;
+    expect(replaceMatches(nodes, pattern, "X", [matches[1]])[0].data.listItems[0].text).toBe("foo X foo");
+  });
+
+  it("searches and replaces example inputs and outputs", () => {
+    const examples = [{ id: "ex", input: "cat", output: "a cat" }];
+    const nodes = [{ id: "e", position: { x: 0, y: 0 }, data: { role: "examples", label: "E", listItems: [], examples } }];
+    const [result] = replaceAll(nodes, "cat", "dog");
+    expect(result.data.examples).toEqual([{ id: "ex", input: "dog", output: "a dog" }]);
+    expect(result.data.content).toBe("Example 1\nInput: dog\nOutput: a dog");
+  });
+});
@@ -0,0 +1,186 @@
+import { getEdgeBranch } from "./branching";
+import { normalizeContentFormat } from "./listItems";
+import { normalizeVariables } from "./variables";
+
+// Beyond this the diff is "remove all, add all" rather than freezing the tab.
+const MAX_LCS_CELLS = 4_000_000;
+
+export function diffSequences(before, after, keyOf = (value) => value) {
+  if (before.length * after.length > MAX_LCS_CELLS) {
+    return [
+      ...before.map((value) => ({ type: "removed", value })),
+      ...after.map((value) => ({ type: "added", value }))
+    ];
+  }
+  const beforeKeys = before.map(keyOf);
+  const afterKeys = after.map(keyOf);
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        beforeKeys[i] === afterKeys[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (beforeKeys[i] === afterKeys[j]) {
+      ops.push({ type: "same", value: after[j] });
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: "removed", value: before[i] });
+      i += 1;
+    } else {
+      ops.push({ type: "added", value: after[j] });
+      j += 1;
+    }
+  }
+  before.slice(i).forEach((value) => ops.push({ type: "removed", value }));
+  after.slice(j).forEach((value) => ops.push({ type: "added", value }));
+  return ops;
+}
+
+export function diffLines(beforeText, afterText, context = 3) {
+  const ops = diffSequences(beforeText.split("\n"), afterText.split("\n"));
+  const lines = [];
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index].type !== "same") {
+      lines.push(ops[index]);
+      index += 1;
+      continue;
+    }
+    let end = index;
+    while (end < ops.length && ops[end].type === "same") {
+      end += 1;
+    }
+    const leading = index === 0 ? 0 : context;
+    const trailing = end === ops.length ? 0 : context;
+    if (end - index > leading + trailing + 1) {
+      lines.push(...ops.slice(index, index + leading));
+      lines.push({ type: "skip", count: end - index - leading - trailing });
+      lines.push(...ops.slice(end - trailing, end));
+    } else {
+      lines.push(...ops.slice(index, end));
+    }
+    index = end;
+  }
+  return lines;
+}
+
+const toItems = (node) =>
+  (node?.data.listItems ?? []).map((item) => ({
+    text: item.text ?? "",
+    level: Number(item.level) || 1,
+    type: item.type ?? "text",
+    language: item.language ?? ""
+  }));
+const itemKey = (item) => [item.level, item.type, item.language, item.text].join("\u0000");
+const edgeKey = (edge) => `${edge.source}->${edge.target}`;
+
+// Edges match by source/target, since imported copies get new edge ids.
+export function diffFlows(before, after) {
+  const beforeNodes = new Map(before.nodes.map((node) => [node.id, node]));
+  const afterNodeIds = new Set(after.nodes.map((node) => node.id));
+
+  const nodes = after.nodes.map((node) => {
+    const previous = beforeNodes.get(node.id);
+    const items = diffSequences(toItems(previous), toItems(node), itemKey);
+    if (!previous) {
+      return { id: node.id, status: "added", before: null, after: node, changes: [], items };
+    }
+    const changes = [];
+    if (previous.data.role !== node.data.role) {
+      changes.push("role");
+    }
+    if ((previous.data.label ?? "") !== (node.data.label ?? "")) {
+      changes.push("label");
+    }
+    if (items.some((op) => op.type !== "same")) {
+      changes.push("items");
+    }
+    if (normalizeContentFormat(previous.data.contentFormat) !== normalizeContentFormat(node.data.contentFormat)) {
+      changes.push("format");
+    }
+    if (
+      JSON.stringify([previous.data.examples ?? [], previous.data.exampleOptions ?? null]) !==
+      JSON.stringify([node.data.examples ?? [], node.data.exampleOptions ?? null])
+    ) {
+      changes.push("examples");
+    }
+    if ((previous.data.order ?? null) !== (node.data.order ?? null)) {
+      changes.push("order");
+    }
+    if (JSON.stringify(previous.data.subflow ?? null) !== JSON.stringify(node.data.subflow ?? null)) {
+      changes.push("subflow");
+    }
+    return {
+      id: node.id,
+      status: changes.length ? "changed" : "unchanged",
+      before: previous,
+      after: node,
+      changes,
+      items
+    };
+  });
+  before.nodes
+    .filter((node) => !afterNodeIds.has(node.id))
+    .forEach((node) =>
+      nodes.push({
+        id: node.id,
+        status: "removed",
+        before: node,
+        after: null,
+        changes: [],
+        items: diffSequences(toItems(node), [], itemKey)
+      })
+    );
+
+  const beforeEdges = new Map(before.edges.map((edge) => [edgeKey(edge), edge]));
+  const afterEdgeKeys = new Set(after.edges.map(edgeKey));
+  const edges = after.edges.map((edge) => {
+    const previous = beforeEdges.get(edgeKey(edge));
+    if (!previous) {
+      return { key: edgeKey(edge), status: "added", edge };
+    }
+    const a = getEdgeBranch(previous);
+    const b = getEdgeBranch(edge);
+    return {
+      key: edgeKey(edge),
+      status: a.label === b.label && a.predicate === b.predicate ? "unchanged" : "changed",
+      edge,
+      previous
+    };
+  });
+  before.edges
+    .filter((edge) => !afterEdgeKeys.has(edgeKey(edge)))
+    .forEach((edge) => edges.push({ key: edgeKey(edge), status: "removed", edge }));
+
+  const beforeVariables = new Map(normalizeVariables(before.variables).map((variable) => [variable.name, variable]));
+  const afterVariables = normalizeVariables(after.variables);
+  const variables = afterVariables.map((variable) => {
+    const previous = beforeVariables.get(variable.name);
+    if (!previous) {
+      return { name: variable.name, status: "added" };
+    }
+    const same = previous.defaultValue === variable.defaultValue && previous.testValue === variable.testValue;
+    return { name: variable.name, status: same ? "unchanged" : "changed" };
+  });
+  beforeVariables.forEach((variable, name) => {
+    if (!afterVariables.some((entry) => entry.name === name)) {
+      variables.push({ name, status: "removed" });
+    }
+  });
+
+  const count = (entries) =>
+    entries.reduce((totals, entry) => ({ ...totals, [entry.status]: (totals[entry.status] ?? 0) + 1 }), {});
+  return {
+    nodes,
+    edges,
+    variables,
+    summary: { nodes: count(nodes), edges: count(edges), variables: count(variables) }
+  };
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { diffFlows, diffLines, diffSequences } from "./flowDiff";
+
+const node = (id, label, texts, extra = {}) => ({
+  id,
+  position: { x: 0, y: 0 },
+  data: {
+    role: "user",
+    label,
+    listItems: texts.map((text, index) => ({ id: `${id}-${index}`, text, level: 1 })),
+    ...extra
+  }
+});
+
+describe("diffSequences", () => {
+  it("keeps the longest common subsequence", () => {
+    expect(diffSequences(["a", "b", "c"], ["a", "c", "d"])).toEqual([
+      { type: "same", value: "a" },
+      { type: "removed", value: "b" },
+      { type: "same", value: "c" },
+      { type: "added", value: "d" }
+    ]);
+  });
+});
+
+describe("diffLines", () => {
+  it("collapses long unchanged runs", () => {
+    const before = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10"].join("\n");
+    const after = before.replace("9", "nine");
+    expect(diffLines(before, after, 1)).toEqual([
+      { type: "skip", count: 7 },
+      { type: "same", value: "8" },
+      { type: "removed", value: "9" },
+      { type: "added", value: "nine" },
+      { type: "same", value: "10" }
+    ]);
+  });
+});
+
+describe("diffFlows", () => {
+  it("reports node, edge and variable changes", () => {
+    const before = {
+      nodes: [node("a", "Ask", ["Hi", "Bye"]), node("b", "Old", ["Gone"])],
+      edges: [{ id: "e1", source: "a", target: "b" }],
+      variables: [{ name: "tone", defaultValue: "warm" }]
+    };
+    const after = {
+      nodes: [node("a", "Ask", ["Hi", "Later"], { contentFormat: "bullet" }), node("c", "New", ["Hello"])],
+      edges: [{ id: "copied", source: "a", target: "c", data: { label: "yes" } }],
+      variables: [{ name: "tone", defaultValue: "dry" }]
+    };
+    const diff = diffFlows(before, after);
+
+    expect(diff.nodes.map(({ id, status, changes }) => [id, status, changes])).toEqual([
+      ["a", "changed", ["items", "format"]],
+      ["c", "added", []],
+      ["b", "removed", []]
+    ]);
+    expect(diff.nodes[0].items.map((op) => [op.type, op.value.text])).toEqual([
+      ["same", "Hi"],
+      ["removed", "Bye"],
+      ["added", "Later"]
+    ]);
+    expect(diff.summary).toEqual({
+      nodes: { changed: 1, added: 1, removed: 1 },
+      edges: { added: 1, removed: 1 },
+      variables: { changed: 1 }
+    });
+  });
+
+  it("matches edges by their ends and compares branch labels", () => {
+    const nodes = [node("a", "A", []), node("b", "B", [])];
+    const diff = diffFlows(
+      { nodes, edges: [{ id: "e1", source: "a", target: "b", data: { label: "yes" } }], variables: [] },
+      { nodes, edges: [{ id: "e2", source: "a", target: "b", data: { label: "no" } }], variables: [] }
+    );
+    expect(diff.edges.map(({ key, status }) => [key, status])).toEqual([["a->b", "changed"]]);
+    expect(diff.summary.nodes).toEqual({ unchanged: 2 });
+  });
+});
@@ -0,0 +1,334 @@
+import { MarkerType } from "@xyflow/react";
+import YAML from "yaml";
+import { applyEdgeBranch, getEdgeBranch } from "./branching";
+import { formatNodeContent, normalizeExampleOptions, normalizeExamples, toChatMessages } from "./examples";
+import { FLOW_DOCUMENT_VERSION, isFlowDocument, readFlowDocument } from "./flowSchema";
+import { CONTENT_FORMATS, normalizeListItems, parseNodeContent } from "./listItems";
+import { PROVIDERS, createProviderConfig, getHost, getProvider } from "./providers";
+import { normalizeVariables } from "./variables";
+
+const ROLE_MARKER = /^\s*(system|user|assistant)\s*:\s*$/i;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Prompty `configuration.type`; OpenAI-compatible is `openai` plus `base_url`.
+const PROMPTY_TYPES = { openai: "openai", anthropic: "anthropic", "openai-compatible": "openai" };
+
+const fromPromptyType = (type, baseUrl) => {
+  if (type === "openai") {
+    const isOpenAIHost = !baseUrl || getHost(baseUrl) === getHost(getProvider("openai").defaultBaseUrl);
+    return isOpenAIHost ? "openai" : "openai-compatible";
+  }
+  return type === "azure_openai" || type === "serverless" ? "openai-compatible" : type;
+};
+
+const toModelSettings = (providerConfig) => {
+  if (!providerConfig) {
+    return undefined;
+  }
+  const provider = getProvider(providerConfig.providerId);
+  return {
+    provider: provider.id,
+    name: providerConfig.model || provider.defaultModel,
+    ...(providerConfig.baseUrl && providerConfig.baseUrl !== provider.defaultBaseUrl
+      ? { base_url: providerConfig.baseUrl }
+      : {}),
+    parameters: {
+      temperature: Number(providerConfig.temperature),
+      top_p: Number(providerConfig.topP),
+      max_tokens: Number(providerConfig.maxTokens)
+    }
+  };
+};
+
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+// Never applied automatically: the user reviews them (and the host) first.
+export function modelSettingsToProviderConfig(model) {
+  if (!isPlainObject(model)) {
+    return null;
+  }
+  const rawBaseUrl = model.base_url ?? model.configuration?.base_url;
+  const baseUrl = typeof rawBaseUrl === "string" && rawBaseUrl.trim() ? rawBaseUrl.trim() : "";
+  const providerId = model.provider ?? fromPromptyType(model.configuration?.type, baseUrl);
+  const known = PROVIDERS.some((provider) => provider.id === providerId);
+  if (!known && !baseUrl) {
+    return null;
+  }
+  const config = createProviderConfig(known ? providerId : "openai-compatible");
+  const parameters = isPlainObject(model.parameters) ? model.parameters : {};
+  const name = model.name ?? model.configuration?.name;
+  return {
+    ...config,
+    ...(baseUrl ? { baseUrl } : {}),
+    model: typeof name === "string" && name.trim() ? name.trim() : config.model,
+    temperature: finiteOr(parameters.temperature, config.temperature),
+    topP: finiteOr(parameters.top_p, config.topP),
+    maxTokens: finiteOr(parameters.max_tokens, config.maxTokens)
+  };
+}
+
+const createEdge = (from, to, index, branch = {}) => {
+  const edge = {
+    id: `e-${from}-${to}-${index}`,
+    source: from,
+    target: to,
+    type: "smoothstep",
+    markerEnd: { type: MarkerType.ArrowClosed }
+  };
+  return branch.label || branch.predicate
+    ? applyEdgeBranch(edge, { label: branch.label ?? "", predicate: branch.predicate ?? "" })
+    : edge;
+};
+
+const createNode = (id, role, label, body, position, order, subflow) => {
+  const data = { role, label, listItems: [], ...body };
+  return {
+    id,
+    type: "promptNode",
+    position,
+    data: {
+      ...data,
+      content: formatNodeContent(data),
+      ...(Number.isFinite(order) ? { order } : {}),
+      ...(subflow ? { subflow } : {})
+    }
+  };
+};
+
+export function exportFlowYaml({ name, nodes, edges, variables, providerConfig }) {
+  const document = {
+    schemaVersion: FLOW_DOCUMENT_VERSION,
+    name,
+    model: toModelSettings(providerConfig),
+    variables: normalizeVariables(variables).map((variable) => ({
+      name: variable.name,
+      default: variable.defaultValue,
+      test: variable.testValue
+    })),
+    nodes: nodes.map((node) => ({
+      id: node.id,
+      role: node.data.role,
+      label: node.data.label,
+      position: { x: Math.round(node.position.x), y: Math.round(node.position.y) },
+      ...(Number.isFinite(node.data.order) ? { order: node.data.order } : {}),
+      ...(node.data.contentFormat ? { format: node.data.contentFormat } : {}),
+      ...(node.data.role === "examples"
+        ? {
+            examples: normalizeExamples(node.data.examples).map(({ id, ...example }) => example),
+            exampleOptions: normalizeExampleOptions(node.data.exampleOptions)
+          }
+        : {
+            items: normalizeListItems(node.data.listItems, node.data.content, node.data.contentFormat).map(
+              ({ id, ...item }) => item
+            )
+          }),
+      ...(node.data.role === "subflow" && node.data.subflow ? { subflow: node.data.subflow } : {})
+    })),
+    edges: edges.map((edge) => {
+      const { label, predicate } = getEdgeBranch(edge);
+      return {
+        from: edge.source,
+        to: edge.target,
+        ...(label ? { label } : {}),
+        ...(predicate ? { predicate } : {})
+      };
+    })
+  };
+  return YAML.stringify(document);
+}
+
+// Returns null when `text` is not a YAML flow document.
+export function parseFlowYaml(text) {
+  let parsed;
+  try {
+    parsed = YAML.parse(text);
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(parsed) || !Array.isArray(parsed.nodes) || !Array.isArray(parsed.edges)) {
+    return null;
+  }
+  if (
+    !parsed.nodes.some(
+      (node) => Array.isArray(node?.items) || Array.isArray(node?.examples) || isPlainObject(node?.position)
+    )
+  ) {
+    return null;
+  }
+
+  const nodes = parsed.nodes.map((node, index) => {
+    const items = Array.isArray(node?.items)
+      ? node.items.map((item) => (typeof item === "string" ? item : { ...item, id: undefined, text: item?.text ?? "" }))
+      : [];
+    const content = typeof node?.content === "string" ? node.content : "";
+    const contentFormat = CONTENT_FORMATS.includes(node?.format) ? node.format : undefined;
+    let body = parseNodeContent(content);
+    if (node?.role === "examples") {
+      body = {
+        examples: normalizeExamples(node.examples),
+        exampleOptions: normalizeExampleOptions(node.exampleOptions)
+      };
+    } else if (items.length || contentFormat) {
+      body = {
+        listItems: normalizeListItems(items, content, contentFormat),
+        ...(contentFormat ? { contentFormat } : {})
+      };
+    }
+    return createNode(
+      node?.id,
+      node?.role,
+      node?.label,
+      body,
+      isPlainObject(node?.position) ? node.position : { x: 120, y: 100 + index * 220 },
+      node?.order,
+      isPlainObject(node?.subflow) ? node.subflow : undefined
+    );
+  });
+  const edges = parsed.edges.map((edge, index) =>
+    createEdge(edge?.from, edge?.to, index, { label: edge?.label, predicate: edge?.predicate })
+  );
+  const variables = Array.isArray(parsed.variables)
+    ? parsed.variables.map((variable) => ({
+        name: variable?.name,
+        defaultValue: variable?.default == null ? "" : String(variable.default),
+        testValue: variable?.test == null ? "" : String(variable.test)
+      }))
+    : [];
+
+  return {
+    name: typeof parsed.name === "string" ? parsed.name : "",
+    providerConfig: modelSettingsToProviderConfig(parsed.model),
+    document: { schemaVersion: parsed.schemaVersion ?? FLOW_DOCUMENT_VERSION, nodes, edges, variables }
+  };
+}
+
+export function exportPrompty({ name, sequence, variables, providerConfig }) {
+  const safeVariables = normalizeVariables(variables);
+  const inputs = Object.fromEntries(
+    safeVariables.map((variable) => [
+      variable.name,
+      { type: "string", ...(variable.defaultValue ? { default: variable.defaultValue } : {}) }
+    ])
+  );
+  const sample = Object.fromEntries(
+    safeVariables.filter((variable) => variable.testValue).map((variable) => [variable.name, variable.testValue])
+  );
+  const model = toModelSettings(providerConfig);
+  const frontMatter = {
+    name,
+    description: "Exported from Prompt Flow Designer",
+    model: {
+      api: "chat",
+      configuration: {
+        type: PROMPTY_TYPES[model.provider] ?? "openai",
+        name: model.name,
+        ...(model.base_url || model.provider === "openai-compatible"
+          ? { base_url: model.base_url ?? providerConfig.baseUrl }
+          : {})
+      },
+      parameters: model.parameters
+    },
+    ...(safeVariables.length ? { inputs } : {}),
+    ...(Object.keys(sample).length ? { sample } : {})
+  };
+  const body = toChatMessages(sequence, "template")
+    .map((turn) => `${turn.role}:\n${turn.content}`)
+    .join("\n\n");
+  return `---\n${YAML.stringify(frontMatter)}---\n${body}\n`;
+}
+
+export function isPromptyText(text) {
+  return /^---\s*\n[\s\S]*?\n---\s*(\n|$)/.test(text.trimStart());
+}
+
+export function parsePrompty(text) {
+  const match = text.trimStart().match(/^---\s*\n([\s\S]*?)\n---\s*(?:\n|$)([\s\S]*)$/);
+  if (!match) {
+    throw new Error("Prompty file must start with a `---` front matter block.");
+  }
+  let frontMatter;
+  try {
+    frontMatter = YAML.parse(match[1]) ?? {};
+  } catch (error) {
+    throw new Error(`Invalid Prompty front matter: ${error.message}`);
+  }
+  if (!isPlainObject(frontMatter)) {
+    throw new Error("Prompty front matter must be a YAML mapping.");
+  }
+
+  const blocks = [];
+  let current = null;
+  match[2].split("\n").forEach((line) => {
+    const marker = line.match(ROLE_MARKER);
+    if (marker) {
+      current = { role: marker[1].toLowerCase(), lines: [] };
+      blocks.push(current);
+      return;
+    }
+    if (!current) {
+      if (!line.trim()) {
+        return;
+      }
+      current = { role: "user", lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  const filled = blocks.filter((block) => block.lines.join("\n").trim());
+  if (!filled.length) {
+    throw new Error("Prompty body has no system, user or assistant sections.");
+  }
+
+  const nodes = filled.map((block, index) =>
+    createNode(
+      `import-${index + 1}`,
+      block.role,
+      block.role[0].toUpperCase() + block.role.slice(1),
+      parseNodeContent(block.lines.join("\n")),
+      { x: 120, y: 100 + index * 220 },
+      index + 1
+    )
+  );
+  const edges = nodes.slice(0, -1).map((node, index) => createEdge(node.id, nodes[index + 1].id, index));
+
+  const inputs = isPlainObject(frontMatter.inputs) ? frontMatter.inputs : {};
+  const sample = isPlainObject(frontMatter.sample) ? frontMatter.sample : {};
+  const names = [...new Set([...Object.keys(inputs), ...Object.keys(sample)])];
+  const variables = names.map((variableName) => ({
+    name: variableName,
+    defaultValue: inputs[variableName]?.default == null ? "" : String(inputs[variableName].default),
+    testValue: sample[variableName] == null ? "" : String(sample[variableName])
+  }));
+
+  return {
+    name: typeof frontMatter.name === "string" ? frontMatter.name : "",
+    providerConfig: modelSettingsToProviderConfig(frontMatter.model),
+    document: { schemaVersion: FLOW_DOCUMENT_VERSION, nodes, edges, variables }
+  };
+}
+
+export function readFlowFile(text) {
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // Not JSON; try the text formats below.
+  }
+  let parsed;
+  try {
+    if (isFlowDocument(json)) {
+      parsed = { name: null, document: json };
+    } else {
+      parsed = isPromptyText(text) ? parsePrompty(text) : parseFlowYaml(text);
+    }
+  } catch (error) {
+    return { name: null, document: null, error: error.message };
+  }
+  if (!parsed) {
+    return { name: null, document: null, error: "File is not a saved flow (.json, .yaml or .prompty)." };
+  }
+  const result = readFlowDocument(parsed.document);
+  return { name: parsed.name, document: result.document, error: result.error };
+}
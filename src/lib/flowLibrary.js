@@ -0,0 +1,88 @@
+import { readJson, safeGetItem, safeRemoveItem, safeSetItem, writeJson } from "./storage";
+
+export const LEGACY_FLOW_STORAGE_KEY = "prompt-flow-designer.v1";
+export const LIBRARY_STORAGE_KEY = "prompt-flow-designer.library.v1";
+const FLOW_DOCUMENT_PREFIX = "prompt-flow-designer.flow.";
+
+export const createFlowId = () => `flow-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function createFlowEntry(name = "Untitled Flow") {
+  const now = new Date().toISOString();
+  return { id: createFlowId(), name, createdAt: now, updatedAt: now };
+}
+
+// Returns `{ document, error }`; both are null when nothing is stored yet.
+export function loadFlowDocument(flowId) {
+  const raw = safeGetItem(`${FLOW_DOCUMENT_PREFIX}${flowId}`);
+  if (!raw) {
+    return { document: null, error: null };
+  }
+  try {
+    return { document: JSON.parse(raw), error: null };
+  } catch {
+    return { document: null, error: "Saved flow data is not valid JSON." };
+  }
+}
+
+export function backupFlowDocument(flowId) {
+  const raw = safeGetItem(`${FLOW_DOCUMENT_PREFIX}${flowId}`);
+  if (raw) {
+    safeSetItem(`${FLOW_DOCUMENT_PREFIX}${flowId}.backup`, raw);
+  }
+}
+
+export function saveFlowDocument(flowId, document) {
+  writeJson(`${FLOW_DOCUMENT_PREFIX}${flowId}`, document);
+}
+
+export function deleteFlowDocument(flowId) {
+  safeRemoveItem(`${FLOW_DOCUMENT_PREFIX}${flowId}`);
+}
+
+export function saveLibrary(library) {
+  writeJson(LIBRARY_STORAGE_KEY, library);
+}
+
+// On first run a flow saved by the single-flow version becomes the first entry.
+export function loadLibrary() {
+  const stored = readJson(LIBRARY_STORAGE_KEY);
+  if (Array.isArray(stored?.flows) && stored.flows.length) {
+    const flows = stored.flows.filter((flow) => typeof flow?.id === "string");
+    if (flows.length) {
+      const activeFlowId = flows.some((flow) => flow.id === stored.activeFlowId)
+        ? stored.activeFlowId
+        : flows[0].id;
+      return { activeFlowId, flows };
+    }
+  }
+
+  const entry = createFlowEntry("My Flow");
+  const legacy = readJson(LEGACY_FLOW_STORAGE_KEY);
+  if (legacy) {
+    saveFlowDocument(entry.id, legacy);
+  }
+  const library = { activeFlowId: entry.id, flows: [entry] };
+  saveLibrary(library);
+  return library;
+}
+
+export function getUniqueFlowName(flows, baseName) {
+  const names = new Set(flows.map((flow) => flow.name));
+  if (!names.has(baseName)) {
+    return baseName;
+  }
+  let index = 2;
+  while (names.has(`${baseName} (${index})`)) {
+    index += 1;
+  }
+  return `${baseName} (${index})`;
+}
+
+// Ignores transient React Flow fields so selecting a node is not an edit.
+export function getFlowFingerprint(nodes, edges, variables) {
+  return JSON.stringify({
+    nodes: nodes.map(({ id, type, position, data }) => ({ id, type, position, data })),
+    edges: edges.map(({ selected, ...edge }) => edge),
+    variables
+  });
+}
@@ -0,0 +1,316 @@
+import { MarkerType } from "@xyflow/react";
+import { CONTENT_FORMATS, formatContent, formatNumberedList, normalizeListItems } from "./listItems";
+import { formatExamples, normalizeExampleOptions, normalizeExamples } from "./examples";
+import { normalizePromptRenderer } from "./promptRenderers";
+import { normalizeVariables } from "./variables";
+
+// Version history of the persisted flow document:
+// 1 - React Flow nodes with plain `data.content` strings.
+// 2 - `data.listItems` with levels; optional `variables`; no version field.
+// 3 - explicit `schemaVersion`; `variables` and edge branch data always present.
+export const FLOW_DOCUMENT_VERSION = 3;
+
+const KNOWN_ROLES = ["system", "user", "assistant", "condition", "subflow", "examples"];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Exported graphs use flat nodes and `from`/`to` edges instead.
+export function isFlowDocument(value) {
+  return (
+    isPlainObject(value) &&
+    Array.isArray(value.nodes) &&
+    Array.isArray(value.edges) &&
+    value.nodes.some((node) => isPlainObject(node?.data))
+  );
+}
+
+export function detectFlowDocumentVersion(document) {
+  if (Number.isInteger(document?.schemaVersion)) {
+    return document.schemaVersion;
+  }
+  const nodes = Array.isArray(document?.nodes) ? document.nodes : [];
+  return nodes.some((node) => Array.isArray(node?.data?.listItems)) ? 2 : 1;
+}
+
+const MIGRATIONS = {
+  1: (document, report) => {
+    let converted = 0;
+    const nodes = document.nodes.map((node) => {
+      if (!isPlainObject(node?.data) || Array.isArray(node.data.listItems)) {
+        return node;
+      }
+      converted += 1;
+      const listItems = normalizeListItems([], node.data.content ?? "");
+      return {
+        ...node,
+        data: { ...node.data, listItems, content: formatNumberedList(listItems) }
+      };
+    });
+    if (converted) {
+      report.push({
+        level: "migrated",
+        message: `Converted plain content into list items on ${converted} node${converted === 1 ? "" : "s"}.`
+      });
+    }
+    return { ...document, nodes, schemaVersion: 2 };
+  },
+  2: (document) => ({
+    ...document,
+    variables: Array.isArray(document.variables) ? document.variables : [],
+    schemaVersion: 3
+  })
+};
+
+export function migrateFlowDocument(document, report = []) {
+  let current = document;
+  let version = detectFlowDocumentVersion(document);
+  if (version > FLOW_DOCUMENT_VERSION) {
+    throw new Error(
+      `Flow uses schema version ${version}, but this app only supports up to ${FLOW_DOCUMENT_VERSION}.`
+    );
+  }
+  while (version < FLOW_DOCUMENT_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration available from schema version ${version}.`);
+    }
+    current = migrate(current, report);
+    report.push({ level: "migrated", message: `Upgraded flow from schema v${version} to v${version + 1}.` });
+    version += 1;
+  }
+  return current;
+}
+
+const sameItems = (a, b) =>
+  Array.isArray(a) &&
+  a.length === b.length &&
+  a.every((item, index) =>
+    ["id", "text", "level", "type", "language"].every((key) => item?.[key] === b[index][key])
+  );
+
+function validateNodes(rawNodes, report) {
+  const nodes = [];
+  const seen = new Set();
+
+  rawNodes.forEach((node, index) => {
+    if (!isPlainObject(node) || typeof node.id !== "string" || !node.id) {
+      report.push({ level: "dropped", message: `Dropped node #${index + 1}: missing string id.` });
+      return;
+    }
+    if (seen.has(node.id)) {
+      report.push({ level: "dropped", message: `Dropped duplicate node '${node.id}'.` });
+      return;
+    }
+    seen.add(node.id);
+
+    const repairs = [];
+    const data = isPlainObject(node.data) ? node.data : {};
+    if (!isPlainObject(node.data)) {
+      repairs.push("missing data");
+    }
+    const role = KNOWN_ROLES.includes(data.role) ? data.role : "user";
+    if (role !== data.role) {
+      repairs.push(`unknown role '${data.role ?? ""}' set to user`);
+    }
+    const label = typeof data.label === "string" ? data.label : role[0].toUpperCase() + role.slice(1);
+    if (label !== data.label) {
+      repairs.push("missing label");
+    }
+    const contentFormat = CONTENT_FORMATS.includes(data.contentFormat) ? data.contentFormat : undefined;
+    if (data.contentFormat !== undefined && !contentFormat) {
+      repairs.push(`unknown content format '${data.contentFormat}' removed`);
+    }
+    let listItems = [];
+    let content;
+    let examples;
+    let exampleOptions;
+    if (role === "examples") {
+      examples = normalizeExamples(data.examples);
+      exampleOptions = normalizeExampleOptions(data.exampleOptions);
+      if (JSON.stringify(examples) !== JSON.stringify(data.examples)) {
+        repairs.push("invalid examples normalized");
+      }
+      content = formatExamples(examples, exampleOptions);
+      if (content !== data.content) {
+        repairs.push("content regenerated from examples");
+      }
+    } else {
+      listItems = normalizeListItems(
+        data.listItems,
+        typeof data.content === "string" ? data.content : "",
+        contentFormat
+      );
+      const itemsValid = sameItems(data.listItems, listItems);
+      if (!itemsValid) {
+        repairs.push("invalid list items normalized");
+      }
+      content =
+        itemsValid && typeof data.content === "string" ? data.content : formatContent(listItems, contentFormat);
+      if (content !== data.content) {
+        repairs.push("content regenerated from list items");
+      }
+    }
+    const order = Number.isFinite(data.order) ? data.order : undefined;
+    if (data.order !== undefined && order === undefined) {
+      repairs.push("invalid step order removed");
+    }
+    const hasPosition = Number.isFinite(node.position?.x) && Number.isFinite(node.position?.y);
+    const position = hasPosition
+      ? { x: node.position.x, y: node.position.y }
+      : { x: 120 + (index % 4) * 320, y: 100 + Math.floor(index / 4) * 220 };
+    if (!hasPosition) {
+      repairs.push("missing position");
+    }
+    if (node.type !== "promptNode") {
+      repairs.push("node type set to promptNode");
+    }
+    let subflow = data.subflow;
+    if (role === "subflow") {
+      subflow = validateSubflow(data.subflow, node.id, report);
+      if (!subflow) {
+        subflow = { flowId: "" };
+        repairs.push("invalid subflow reference cleared");
+      }
+    }
+
+    if (repairs.length) {
+      report.push({ level: "repaired", message: `Node '${node.id}': ${repairs.join(", ")}.` });
+    }
+    const nodeData = { ...data, role, label, listItems, content };
+    delete nodeData.contentFormat;
+    delete nodeData.order;
+    nodes.push({
+      ...node,
+      type: "promptNode",
+      position,
+      data: {
+        ...nodeData,
+        ...(contentFormat ? { contentFormat } : {}),
+        ...(order !== undefined ? { order } : {}),
+        ...(examples ? { examples, exampleOptions } : {}),
+        ...(subflow ? { subflow } : {})
+      }
+    });
+  });
+
+  return nodes;
+}
+
+function validateSubflow(subflow, nodeId, report) {
+  if (!isPlainObject(subflow)) {
+    return null;
+  }
+  if (Array.isArray(subflow.nodes) && Array.isArray(subflow.edges)) {
+    const groupReport = [];
+    const nodes = validateNodes(subflow.nodes, groupReport);
+    const edges = validateEdges(subflow.edges, new Set(nodes.map((node) => node.id)), groupReport);
+    groupReport.forEach((entry) =>
+      report.push({ ...entry, message: `Subflow '${nodeId}': ${entry.message}` })
+    );
+    return { nodes, edges };
+  }
+  return typeof subflow.flowId === "string" ? { flowId: subflow.flowId } : null;
+}
+
+function validateEdges(rawEdges, nodeIds, report) {
+  const edges = [];
+  const seen = new Set();
+
+  rawEdges.forEach((edge, index) => {
+    if (!isPlainObject(edge) || typeof edge.source !== "string" || typeof edge.target !== "string") {
+      report.push({ level: "dropped", message: `Dropped edge #${index + 1}: missing source or target.` });
+      return;
+    }
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) {
+      report.push({
+        level: "dropped",
+        message: `Dropped edge '${edge.source}' -> '${edge.target}': references a missing node.`
+      });
+      return;
+    }
+
+    const repairs = [];
+    let id = typeof edge.id === "string" && edge.id ? edge.id : `e-${edge.source}-${edge.target}`;
+    if (id !== edge.id) {
+      repairs.push("missing id");
+    }
+    if (seen.has(id)) {
+      id = `${id}-${index}`;
+      repairs.push("duplicate id renamed");
+    }
+    seen.add(id);
+    if (!edge.type || !edge.markerEnd) {
+      repairs.push("default styling applied");
+    }
+    if (repairs.length) {
+      report.push({ level: "repaired", message: `Edge '${edge.source}' -> '${edge.target}': ${repairs.join(", ")}.` });
+    }
+    edges.push({
+      type: "smoothstep",
+      markerEnd: { type: MarkerType.ArrowClosed },
+      ...edge,
+      id
+    });
+  });
+
+  return edges;
+}
+
+export function validateFlowDocument(document, report = []) {
+  const nodes = validateNodes(document.nodes, report);
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const edges = validateEdges(document.edges, nodeIds, report);
+
+  const variables = normalizeVariables(document.variables);
+  const rawVariableCount = Array.isArray(document.variables) ? document.variables.length : 0;
+  if (variables.length !== rawVariableCount) {
+    report.push({
+      level: "dropped",
+      message: `Dropped ${rawVariableCount - variables.length} invalid or duplicate variable definition(s).`
+    });
+  }
+
+  const selectedNodeId =
+    typeof document.selectedNodeId === "string" && nodeIds.has(document.selectedNodeId)
+      ? document.selectedNodeId
+      : nodes[0]?.id ?? null;
+
+  return {
+    schemaVersion: FLOW_DOCUMENT_VERSION,
+    nodes,
+    edges,
+    variables,
+    selectedNodeId,
+    ...(document.promptRenderer !== undefined
+      ? { promptRenderer: normalizePromptRenderer(document.promptRenderer) }
+      : {})
+  };
+}
+
+// `report` lists every migration, repair and dropped element.
+export function readFlowDocument(document) {
+  const report = [];
+  if (!isPlainObject(document)) {
+    return { document: null, report, error: "Flow document is not an object." };
+  }
+  if (!Array.isArray(document.nodes) || !Array.isArray(document.edges)) {
+    return { document: null, report, error: "Flow document must contain `nodes` and `edges` arrays." };
+  }
+  try {
+    const migrated = migrateFlowDocument(document, report);
+    return { document: validateFlowDocument(migrated, report), report, error: null };
+  } catch (error) {
+    return { document: null, report, error: error.message };
+  }
+}
+
+export function createFlowDocument({ nodes, edges, variables, selectedNodeId, promptRenderer }) {
+  return {
+    schemaVersion: FLOW_DOCUMENT_VERSION,
+    nodes,
+    edges,
+    variables,
+    selectedNodeId,
+    ...(promptRenderer ? { promptRenderer } : {})
+  };
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { FLOW_DOCUMENT_VERSION, readFlowDocument } from "./flowSchema";
+
+const shape = (items) => items.map(({ id, ...item }) => item);
+
+describe("readFlowDocument migrations", () => {
+  const v1 = {
+    nodes: [
+      {
+        id: "a",
+        type: "promptNode",
+        position: { x: 0, y: 0 },
+        data: { role: "system", label: "System", content: "You are helpful.\nBe concise." }
+      }
+    ],
+    edges: []
+  };
+
+  it("converts v1 plain content into numbered list items, one per line", () => {
+    const { document, report } = readFlowDocument(v1);
+    const { data } = document.nodes[0];
+    expect(document.schemaVersion).toBe(FLOW_DOCUMENT_VERSION);
+    expect(shape(data.listItems)).toEqual([
+      { text: "You are helpful.", level: 1 },
+      { text: "Be concise.", level: 1 }
+    ]);
+    expect(data.content).toBe("1 You are helpful.\n2 Be concise.");
+    expect(data).not.toHaveProperty("contentFormat");
+    expect(report.some((entry) => entry.level === "migrated")).toBe(true);
+  });
+});
+
+describe("readFlowDocument validation", () => {
+  const node = (data) => ({
+    schemaVersion: FLOW_DOCUMENT_VERSION,
+    variables: [],
+    edges: [],
+    nodes: [{ id: "a", type: "promptNode", position: { x: 0, y: 0 }, data }]
+  });
+  const items = [{ id: "i1", text: "Hi", level: 1 }];
+
+  it("drops invalid content formats and step orders instead of keeping undefined keys", () => {
+    const { document, report } = readFlowDocument(
+      node({ role: "user", label: "U", listItems: items, content: "1 Hi", contentFormat: "bogus", order: "x" })
+    );
+    expect(Object.keys(document.nodes[0].data).sort()).toEqual(["content", "label", "listItems", "role"]);
+    expect(report[0].message).toMatch(/unknown content format 'bogus' removed, invalid step order removed/);
+  });
+
+  it("keeps valid content formats and step orders", () => {
+    const { document } = readFlowDocument(
+      node({ role: "user", label: "U", listItems: items, content: "Hi", contentFormat: "plain", order: 2 })
+    );
+    expect(document.nodes[0].data).toMatchObject({ contentFormat: "plain", order: 2, content: "Hi" });
+  });
+
+  it("repairs unknown roles and regenerates content from list items", () => {
+    const { document, report } = readFlowDocument(node({ role: "narrator", listItems: items }));
+    expect(document.nodes[0].data).toMatchObject({ role: "user", label: "User", content: "1 Hi" });
+    expect(report[0].level).toBe("repaired");
+  });
+
+  it("rejects documents from a newer schema version", () => {
+    expect(readFlowDocument({ ...node({}), schemaVersion: FLOW_DOCUMENT_VERSION + 1 }).document).toBeFalsy();
+  });
+});
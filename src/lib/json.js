@@ -0,0 +1,19 @@
+export function extractJsonObject(text) {
+  if (!text) {
+    return null;
+  }
+  const trimmed = text.trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    const match = trimmed.match(/```json\s*([\s\S]*?)\s*```/i) || trimmed.match(/({[\s\S]*})/);
+    if (!match) {
+      return null;
+    }
+    try {
+      return JSON.parse(match[1]);
+    } catch {
+      return null;
+    }
+  }
+}
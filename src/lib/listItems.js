@@ -0,0 +1,223 @@
+// Code and quote items are emitted verbatim, without a number.
+export const ITEM_TYPES = ["code", "quote"];
+
+const normalizeLevel = (level) => Math.max(1, Math.floor(Number(level) || 1));
+
+export const createListItem = (text = "", level = 1, type = null, language = "") => ({
+  id: `li-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  text,
+  level: normalizeLevel(level),
+  ...(ITEM_TYPES.includes(type) ? { type } : {}),
+  ...(type === "code" && language ? { language } : {})
+});
+
+// Nodes without a `contentFormat` are numbered.
+export const CONTENT_FORMATS = ["numbered", "bullet", "plain", "raw"];
+export const DEFAULT_CONTENT_FORMAT = "numbered";
+
+const NUMBERED_LINE = /^(\d+(?:\.\d+)*)(?:\.)?\s+(.+)$/;
+const BULLET_LINE = /^(\s*)[-*•]\s+(.+)$/;
+const FENCE_LINE = /^```\s*([\w+#.-]*)\s*$/;
+const QUOTE_LINE = /^>\s?(.*)$/;
+const FENCED_BLOCK = /^```[^\n]*\n[\s\S]*?^```\s*$/gm;
+
+export const normalizeContentFormat = (format) =>
+  CONTENT_FORMATS.includes(format) ? format : DEFAULT_CONTENT_FORMAT;
+
+// For imported text only: mostly numbered or bulleted lines make a list.
+export const detectContentFormat = (content = "") => {
+  const lines = content
+    .replace(FENCED_BLOCK, "")
+    .split("\n")
+    .filter((line) => line.trim() && !/^\s/.test(line) && !QUOTE_LINE.test(line));
+  if (!lines.length) {
+    return content.trim() ? "plain" : DEFAULT_CONTENT_FORMAT;
+  }
+  const share = (pattern) => lines.filter((line) => pattern.test(line)).length / lines.length;
+  if (NUMBERED_LINE.test(lines[0]) && share(NUMBERED_LINE) >= 0.5) {
+    return "numbered";
+  }
+  if (BULLET_LINE.test(lines[0]) && share(BULLET_LINE) >= 0.5) {
+    return "bullet";
+  }
+  return "plain";
+};
+
+const parseListLine = (line, format) => {
+  if (format === "bullet") {
+    const match = line.match(BULLET_LINE);
+    return match && { text: match[2], level: Math.floor(match[1].length / 2) + 1, indent: match[1].length + 2 };
+  }
+  const match = line.trim().match(NUMBERED_LINE);
+  return match && { text: match[2], level: match[1].split(".").length, indent: match[1].length + 1 };
+};
+
+// Lines indented past the previous item's marker continue that item.
+const parseContent = (content, format) => {
+  if (format === "raw") {
+    return content.trim() ? [createListItem(content, 1)] : [];
+  }
+  const items = [];
+  const lines = content.split("\n");
+  let continuationIndent = 0;
+  let blankLines = 0;
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    const previous = items[items.length - 1];
+    const fence = line.trim().match(FENCE_LINE);
+    if (fence) {
+      const body = [];
+      index += 1;
+      while (index < lines.length && lines[index].trim() !== "```") {
+        body.push(lines[index]);
+        index += 1;
+      }
+      items.push(createListItem(body.join("\n"), previous?.level ?? 1, "code", fence[1]));
+      continuationIndent = 0;
+      index += 1;
+      continue;
+    }
+    const quote = line.trim().match(QUOTE_LINE);
+    if (quote) {
+      if (previous?.type === "quote" && continuationIndent === -1) {
+        previous.text += `\n${quote[1]}`;
+      } else {
+        items.push(createListItem(quote[1], previous?.level ?? 1, "quote"));
+      }
+      continuationIndent = -1;
+      index += 1;
+      continue;
+    }
+    const indent = line.length - line.trimStart().length;
+    const isNestedBullet = format === "bullet" && BULLET_LINE.test(line);
+    if (continuationIndent > 0 && line.trim() && indent >= continuationIndent && !isNestedBullet) {
+      previous.text += `${"\n".repeat(blankLines + 1)}${line.slice(continuationIndent)}`;
+      blankLines = 0;
+      index += 1;
+      continue;
+    }
+    const text = line.trim();
+    blankLines = text ? 0 : blankLines + 1;
+    if (text && format === "plain") {
+      if (previous && !previous.type && continuationIndent === -2) {
+        previous.text += `\n${text}`;
+      } else {
+        items.push(createListItem(text, 1));
+      }
+      continuationIndent = -2;
+    } else if (text) {
+      const match = parseListLine(line, format);
+      items.push(match ? createListItem(match.text, match.level) : createListItem(text, 1));
+      continuationIndent = match ? match.indent : 0;
+    } else if (continuationIndent < 0) {
+      continuationIndent = 0;
+    }
+    index += 1;
+  }
+  return items;
+};
+
+export const normalizeListItems = (items = [], fallbackContent = "", format = null) => {
+  if (Array.isArray(items) && items.length) {
+    return items.map((item) => {
+      if (typeof item === "string") {
+        return createListItem(item, 1);
+      }
+      const type = ITEM_TYPES.includes(item?.type) ? item.type : null;
+      const language = type === "code" && typeof item?.language === "string" ? item.language : "";
+      return {
+        id: item?.id || createListItem().id,
+        text: item?.text ?? "",
+        level: normalizeLevel(item?.level),
+        ...(type ? { type } : {}),
+        ...(language ? { language } : {})
+      };
+    });
+  }
+
+  const content = fallbackContent || "";
+  const parsed = parseContent(content, normalizeContentFormat(format));
+  return parsed.length ? parsed : [createListItem("", 1)];
+};
+
+export const parseNodeContent = (content = "") => {
+  const contentFormat = detectContentFormat(content);
+  return {
+    listItems: normalizeListItems([], content, contentFormat),
+    ...(contentFormat !== DEFAULT_CONTENT_FORMAT ? { contentFormat } : {})
+  };
+};
+
+// Skipped levels count as a first child (level 1 then 3 gives `1.1.1`).
+export const getItemNumbers = (items = []) => {
+  const counters = [];
+  return items.map((item) => {
+    if (ITEM_TYPES.includes(item.type)) {
+      return null;
+    }
+    const level = normalizeLevel(item.level);
+    while (counters.length < level - 1) {
+      counters.push(1);
+    }
+    if (counters.length < level) {
+      counters.push(0);
+    }
+    counters.length = level;
+    counters[level - 1] += 1;
+    return counters.join(".");
+  });
+};
+
+const formatBlock = (item) => {
+  if (item.type === "code") {
+    return `\`\`\`${item.language ?? ""}\n${item.text}\n\`\`\``;
+  }
+  return item.text
+    .split("\n")
+    .map((line) => (line ? `> ${line}` : ">"))
+    .join("\n");
+};
+
+const formatMarked = (item, marker, indent = "") => {
+  const [first, ...rest] = item.text.trim().split("\n");
+  const continuation = " ".repeat(indent.length + marker.length + 1);
+  return [`${indent}${marker} ${first}`, ...rest.map((line) => (line.trim() ? `${continuation}${line}` : ""))].join(
+    "\n"
+  );
+};
+
+export const formatNumberedList = (items = []) => formatContent(items, "numbered");
+
+export const formatContent = (items = [], format = DEFAULT_CONTENT_FORMAT) => {
+  const normalized = normalizeListItems(items);
+  if (format === "raw") {
+    return normalized.map((item) => item.text ?? "").join("\n");
+  }
+  const numbers = getItemNumbers(normalized);
+  const formatItem = (item, index) => {
+    if (ITEM_TYPES.includes(item.type)) {
+      return formatBlock(item);
+    }
+    if (format === "bullet") {
+      return formatMarked(item, "-", "  ".repeat(item.level - 1));
+    }
+    return format === "plain" ? item.text.trim() : formatMarked(item, numbers[index]);
+  };
+
+  return normalized
+    .map((item, index) => ((item.text ?? "").trim() ? formatItem(item, index) : ""))
+    .filter(Boolean)
+    .join(format === "plain" ? "\n\n" : "\n");
+};
+
+// Raw nodes hold all their text in one item, so it is re-split on switching.
+export const convertListItems = (items, from, to) => {
+  const source = normalizeContentFormat(from);
+  const target = normalizeContentFormat(to);
+  if (source === target || (source !== "raw" && target !== "raw")) {
+    return normalizeListItems(items);
+  }
+  const text = formatContent(items, source);
+  return target === "raw" ? [createListItem(text, 1)] : normalizeListItems([], text, target);
+};
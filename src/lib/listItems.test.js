@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { formatContent, getItemNumbers, normalizeListItems, parseNodeContent } from "./listItems";
+
+const shape = (items) => items.map(({ id, ...item }) => item);
+
+describe("normalizeListItems", () => {
+  it("parses fallback content as a numbered list when no format is given", () => {
+    expect(shape(normalizeListItems([], "You are helpful.\nBe concise."))).toEqual([
+      { text: "You are helpful.", level: 1 },
+      { text: "Be concise.", level: 1 }
+    ]);
+  });
+
+  it("reads outline numbers as levels and indented lines as continuations", () => {
+    expect(shape(normalizeListItems([], "1 Rules\n  more\n1.1 Nested"))).toEqual([
+      { text: "Rules\nmore", level: 1 },
+      { text: "Nested", level: 2 }
+    ]);
+  });
+
+  it("keeps fenced code and quotes as typed items", () => {
+    expect(shape(normalizeListItems([], "1 Intro\n```json\n{}\n```\n> cited"))).toEqual([
+      { text: "Intro", level: 1 },
+      { text: "{}", level: 1, type: "code", language: "json" },
+      { text: "cited", level: 1, type: "quote" }
+    ]);
+  });
+
+  it("repairs existing items without reparsing content", () => {
+    expect(shape(normalizeListItems(["a", { text: "b", level: "x" }], "ignored"))).toEqual([
+      { text: "a", level: 1 },
+      { text: "b", level: 1 }
+    ]);
+  });
+
+  it("returns one empty item for empty content", () => {
+    expect(shape(normalizeListItems([], ""))).toEqual([{ text: "", level: 1 }]);
+  });
+});
+
+describe("formatContent", () => {
+  const items = normalizeListItems([], "1 First\n1.1 Child\n2 Second");
+
+  it("numbers nested items as an outline", () => {
+    expect(formatContent(items)).toBe("1 First\n1.1 Child\n2 Second");
+  });
+
+  it("round-trips every format through normalizeListItems", () => {
+    ["numbered", "bullet", "plain", "raw"].forEach((format) => {
+      const text = formatContent(items, format);
+      expect(formatContent(normalizeListItems([], text, format), format)).toBe(text);
+    });
+  });
+});
+
+describe("parseNodeContent", () => {
+  it("detects prose in imported text", () => {
+    expect(parseNodeContent("You are helpful.\nBe concise.")).toMatchObject({ contentFormat: "plain" });
+  });
+
+  it("keeps numbered imports in the default format", () => {
+    expect(parseNodeContent("1 A\n2 B")).not.toHaveProperty("contentFormat");
+  });
+});
+
+describe("getItemNumbers", () => {
+  it("numbers skipped parent levels as 1", () => {
+    const levels = [1, 5, 5, 2, 3];
+    expect(getItemNumbers(levels.map((level) => ({ text: "", level })))).toEqual([
+      "1",
+      "1.1.1.1.1",
+      "1.1.1.1.2",
+      "1.2",
+      "1.2.1"
+    ]);
+  });
+
+  it("starts at 1 on every level when the first item is nested", () => {
+    expect(getItemNumbers([{ text: "", level: 3 }])).toEqual(["1.1.1"]);
+  });
+
+  it("skips code and quote items", () => {
+    const items = [{ level: 1 }, { level: 1, type: "code" }, { level: 1 }];
+    expect(getItemNumbers(items)).toEqual(["1", null, "2"]);
+  });
+});
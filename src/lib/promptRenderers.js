@@ -0,0 +1,53 @@
+// `template` is kept when switching renderers so custom edits are not lost.
+export const PROMPT_RENDERERS = [
+  { id: "steps", label: "Numbered steps ([1] ROLE)" },
+  { id: "xml", label: "XML tags (<system>…</system>)" },
+  { id: "markdown", label: "Markdown heading per label" },
+  { id: "plain", label: "Plain text (no role markers)" },
+  { id: "custom", label: "Custom template" }
+];
+
+export const TEMPLATE_PLACEHOLDERS = ["step", "role", "label", "content"];
+export const DEFAULT_CUSTOM_TEMPLATE = "### {{step}}. {{label}} ({{role}})\n{{content}}";
+export const DEFAULT_PROMPT_RENDERER = { id: "steps", template: DEFAULT_CUSTOM_TEMPLATE };
+
+export function normalizePromptRenderer(renderer) {
+  return {
+    id: PROMPT_RENDERERS.some((entry) => entry.id === renderer?.id) ? renderer.id : DEFAULT_PROMPT_RENDERER.id,
+    template: typeof renderer?.template === "string" ? renderer.template : DEFAULT_CUSTOM_TEMPLATE
+  };
+}
+
+// One pass, so `{{variables}}` left in step content are not taken as placeholders.
+const PLACEHOLDER_PATTERN = new RegExp(`\\{\\{\\s*(${TEMPLATE_PLACEHOLDERS.join("|")})\\s*\\}\\}`, "g");
+const fillTemplate = (template, values) => template.replace(PLACEHOLDER_PATTERN, (_, key) => values[key]);
+
+const xmlTag = (role) => role.replace(/[^A-Za-z0-9_-]/g, "") || "step";
+
+export function renderSequence(sequence, renderer = DEFAULT_PROMPT_RENDERER, key = "content") {
+  const { id, template } = normalizePromptRenderer(renderer);
+  const steps = sequence.map((item) => ({
+    step: String(item.step),
+    role: item.role,
+    label: item.label || item.role,
+    content: item[key] || ""
+  }));
+
+  switch (id) {
+    case "xml":
+      return steps.map((item) => `<${xmlTag(item.role)}>\n${item.content}\n</${xmlTag(item.role)}>`).join("\n\n");
+    case "markdown":
+      return steps.map((item) => `## ${item.label}\n\n${item.content || "(empty)"}`).join("\n\n");
+    case "plain":
+      return steps
+        .map((item) => item.content.trim())
+        .filter(Boolean)
+        .join("\n\n");
+    case "custom":
+      return steps.map((item) => fillTemplate(template, item)).join("\n\n");
+    default:
+      return steps
+        .map((item) => `[${item.step}] ${item.role.toUpperCase()}\n${item.content || "(empty)"}`)
+        .join("\n\n");
+  }
+}
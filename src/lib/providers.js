@@ -0,0 +1,317 @@
+import { extractJsonObject } from "./json";
+import { readJson, writeJson } from "./storage";
+
+export const PROVIDER_SETTINGS_STORAGE_KEY = "prompt-flow-designer.ai-provider.v1";
+
+const trimSlash = (url) => url.trim().replace(/\/+$/, "");
+
+export const getHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+const withSampling = (body, sampling, keys) => {
+  const next = { ...body };
+  if (Number.isFinite(sampling.temperature)) {
+    next[keys.temperature] = sampling.temperature;
+  }
+  if (Number.isFinite(sampling.topP) && sampling.topP < 1) {
+    next[keys.topP] = sampling.topP;
+  }
+  if (Number.isFinite(sampling.maxTokens) && sampling.maxTokens > 0) {
+    next[keys.maxTokens] = sampling.maxTokens;
+  }
+  return next;
+};
+
+const bearerHeaders = (apiKey) => ({
+  "Content-Type": "application/json",
+  ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+});
+
+const openAIResponsesAdapter = {
+  id: "openai",
+  label: "OpenAI (Responses API)",
+  defaultBaseUrl: "https://api.openai.com/v1",
+  defaultModel: "gpt-4.1-mini",
+  requiresApiKey: true,
+  supportsStructuredOutput: true,
+  buildRequest({ baseUrl, apiKey, model, messages, sampling, schema, stream }) {
+    const body = withSampling({ model, input: messages }, sampling, {
+      temperature: "temperature",
+      topP: "top_p",
+      maxTokens: "max_output_tokens"
+    });
+    if (schema) {
+      body.text = { format: { type: "json_schema", name: schema.name, schema: schema.schema, strict: true } };
+    }
+    if (stream) {
+      body.stream = true;
+    }
+    return {
+      url: `${trimSlash(baseUrl)}/responses`,
+      init: { method: "POST", headers: bearerHeaders(apiKey), body: JSON.stringify(body) }
+    };
+  },
+  parseResponse(payload) {
+    const text =
+      payload.output_text ||
+      payload.output?.map((item) => item?.content?.map((c) => c?.text || "").join("")).join("") ||
+      "";
+    return { text, json: null, model: payload.model };
+  },
+  parseStreamEvent(event) {
+    return event?.type === "response.output_text.delta" ? event.delta || "" : "";
+  }
+};
+
+const anthropicAdapter = {
+  id: "anthropic",
+  label: "Anthropic (Messages API)",
+  defaultBaseUrl: "https://api.anthropic.com/v1",
+  defaultModel: "claude-sonnet-4-5",
+  requiresApiKey: true,
+  supportsStructuredOutput: true,
+  buildRequest({ baseUrl, apiKey, model, messages, sampling, schema, stream }) {
+    const system = messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content)
+      .join("\n\n");
+    const body = withSampling(
+      {
+        model,
+        max_tokens: 4096,
+        ...(system ? { system } : {}),
+        messages: messages.filter((message) => message.role !== "system")
+      },
+      sampling,
+      { temperature: "temperature", topP: "top_p", maxTokens: "max_tokens" }
+    );
+    // Structured output: force a single tool whose input schema is the target.
+    if (schema) {
+      body.tools = [{ name: schema.name, description: "Return the result.", input_schema: schema.schema }];
+      body.tool_choice = { type: "tool", name: schema.name };
+    }
+    if (stream) {
+      body.stream = true;
+    }
+    return {
+      url: `${trimSlash(baseUrl)}/messages`,
+      init: {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+          "anthropic-dangerous-direct-browser-access": "true"
+        },
+        body: JSON.stringify(body)
+      }
+    };
+  },
+  parseResponse(payload) {
+    const blocks = Array.isArray(payload.content) ? payload.content : [];
+    const toolUse = blocks.find((block) => block?.type === "tool_use");
+    const text = blocks
+      .filter((block) => block?.type === "text")
+      .map((block) => block.text)
+      .join("");
+    return { text: text || (toolUse ? JSON.stringify(toolUse.input) : ""), json: toolUse?.input ?? null, model: payload.model };
+  },
+  parseStreamEvent(event) {
+    return event?.type === "content_block_delta" && event.delta?.type === "text_delta" ? event.delta.text || "" : "";
+  }
+};
+
+const openAICompatibleAdapter = {
+  id: "openai-compatible",
+  label: "OpenAI-compatible (Chat Completions)",
+  defaultBaseUrl: "http://localhost:11434/v1",
+  defaultModel: "llama3.1",
+  requiresApiKey: false,
+  supportsStructuredOutput: true,
+  buildRequest({ baseUrl, apiKey, model, messages, sampling, schema, stream }) {
+    const body = withSampling({ model, messages }, sampling, {
+      temperature: "temperature",
+      topP: "top_p",
+      maxTokens: "max_tokens"
+    });
+    if (schema) {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: { name: schema.name, schema: schema.schema, strict: true }
+      };
+    }
+    if (stream) {
+      body.stream = true;
+    }
+    return {
+      url: `${trimSlash(baseUrl)}/chat/completions`,
+      init: { method: "POST", headers: bearerHeaders(apiKey), body: JSON.stringify(body) }
+    };
+  },
+  parseResponse(payload) {
+    return { text: payload.choices?.[0]?.message?.content || "", json: null, model: payload.model };
+  },
+  parseStreamEvent(event) {
+    return event?.choices?.[0]?.delta?.content || "";
+  }
+};
+
+export const PROVIDERS = [openAIResponsesAdapter, anthropicAdapter, openAICompatibleAdapter];
+
+export const getProvider = (providerId) =>
+  PROVIDERS.find((provider) => provider.id === providerId) ?? PROVIDERS[0];
+
+export function createProviderConfig(providerId = PROVIDERS[0].id) {
+  const provider = getProvider(providerId);
+  return {
+    providerId: provider.id,
+    baseUrl: provider.defaultBaseUrl,
+    model: provider.defaultModel,
+    temperature: 0.2,
+    topP: 1,
+    maxTokens: 2048,
+    useStructuredOutput: provider.supportsStructuredOutput
+  };
+}
+
+// API keys are never persisted; only provider, endpoint, model and sampling.
+export function loadProviderConfig() {
+  const stored = readJson(PROVIDER_SETTINGS_STORAGE_KEY);
+  if (!PROVIDERS.some((provider) => provider.id === stored?.providerId)) {
+    return createProviderConfig();
+  }
+  return { ...createProviderConfig(stored.providerId), ...stored };
+}
+
+export function saveProviderConfig(config) {
+  writeJson(PROVIDER_SETTINGS_STORAGE_KEY, config);
+}
+
+const getSampling = (config) => ({
+  temperature: Number(config.temperature),
+  topP: Number(config.topP),
+  maxTokens: Number(config.maxTokens)
+});
+
+async function sendRequest(provider, request) {
+  const response = await fetch(request.url, request.init);
+  if (!response.ok) {
+    const errText = await response.text();
+    const error = new Error(`${provider.label} request failed (${response.status}): ${errText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// Retried once as plain text when the endpoint rejects structured output.
+export async function requestJsonCompletion(config, { apiKey, messages, schema }) {
+  const provider = getProvider(config.providerId);
+  const base = {
+    baseUrl: config.baseUrl || provider.defaultBaseUrl,
+    apiKey: apiKey.trim(),
+    model: config.model || provider.defaultModel,
+    messages,
+    sampling: getSampling(config)
+  };
+
+  let payload;
+  if (config.useStructuredOutput && provider.supportsStructuredOutput) {
+    try {
+      payload = await sendRequest(provider, provider.buildRequest({ ...base, schema }));
+    } catch (error) {
+      if (error.status !== 400 && error.status !== 422) {
+        throw error;
+      }
+      payload = await sendRequest(provider, provider.buildRequest(base));
+    }
+  } else {
+    payload = await sendRequest(provider, provider.buildRequest(base));
+  }
+
+  const { text, json } = provider.parseResponse(payload);
+  return { text, json: json ?? extractJsonObject(text) };
+}
+
+const readEventStream = async (response, provider, onDelta) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  let model = "";
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("data:")) {
+      return;
+    }
+    const data = trimmed.slice(5).trim();
+    if (!data || data === "[DONE]") {
+      return;
+    }
+    try {
+      const event = JSON.parse(data);
+      model = model || event.model || event.response?.model || event.message?.model || "";
+      const delta = provider.parseStreamEvent(event);
+      if (delta) {
+        text += delta;
+        onDelta(delta, text);
+      }
+    } catch {
+      // Skip keep-alive comments and partial frames.
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() ?? "";
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+  return { text, model };
+};
+
+// Endpoints that ignore `stream` are handled as a single delta.
+export async function streamCompletion(config, { apiKey, messages, onDelta = () => {}, signal }) {
+  const provider = getProvider(config.providerId);
+  const request = provider.buildRequest({
+    baseUrl: config.baseUrl || provider.defaultBaseUrl,
+    apiKey: apiKey.trim(),
+    model: config.model || provider.defaultModel,
+    messages,
+    sampling: getSampling(config),
+    stream: true
+  });
+
+  const startedAt = performance.now();
+  const response = await fetch(request.url, { ...request.init, signal });
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`${provider.label} request failed (${response.status}): ${errText}`);
+  }
+
+  let result;
+  if ((response.headers.get("content-type") || "").includes("text/event-stream") && response.body) {
+    result = await readEventStream(response, provider, onDelta);
+  } else {
+    const parsed = provider.parseResponse(await response.json());
+    onDelta(parsed.text, parsed.text);
+    result = { text: parsed.text, model: parsed.model };
+  }
+
+  return {
+    text: result.text,
+    model: result.model || config.model || provider.defaultModel,
+    latencyMs: Math.round(performance.now() - startedAt)
+  };
+}
@@ -0,0 +1,17 @@
+import { readJson, safeRemoveItem, writeJson } from "./storage";
+
+const RUN_HISTORY_PREFIX = "prompt-flow-designer.runs.";
+const RUN_HISTORY_LIMIT = 50;
+
+export function loadRunHistory(flowId) {
+  const stored = readJson(`${RUN_HISTORY_PREFIX}${flowId}`, []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+export function saveRunHistory(flowId, runs) {
+  writeJson(`${RUN_HISTORY_PREFIX}${flowId}`, runs.slice(0, RUN_HISTORY_LIMIT));
+}
+
+export function deleteRunHistory(flowId) {
+  safeRemoveItem(`${RUN_HISTORY_PREFIX}${flowId}`);
+}
@@ -0,0 +1,100 @@
+import { MarkerType } from "@xyflow/react";
+import { createExample, normalizeExamples } from "./examples";
+import { normalizeListItems } from "./listItems";
+
+// Also written as text/plain JSON so other tabs and apps can read it.
+export const SELECTION_MIME_TYPE = "application/x-prompt-flow-selection+json";
+export const SELECTION_KIND = "prompt-flow-designer.selection";
+export const PASTE_OFFSET = 40;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+export function getSelectedNodeIds(nodes, fallbackNodeId = null) {
+  const selected = nodes.filter((node) => node.selected).map((node) => node.id);
+  if (selected.length) {
+    return selected;
+  }
+  return nodes.some((node) => node.id === fallbackNodeId) ? [fallbackNodeId] : [];
+}
+
+export function createSelectionPayload(nodes, edges, nodeIds) {
+  const ids = new Set(nodeIds);
+  return {
+    kind: SELECTION_KIND,
+    version: 1,
+    nodes: nodes
+      .filter((node) => ids.has(node.id))
+      .map(({ id, position, data }) => ({ id, position, data })),
+    edges: edges
+      .filter((edge) => ids.has(edge.source) && ids.has(edge.target))
+      .map(({ selected, animated, className, ...edge }) => edge)
+  };
+}
+
+export function parseSelectionPayload(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (parsed?.kind !== SELECTION_KIND || !Array.isArray(parsed.nodes) || !Array.isArray(parsed.edges)) {
+    return null;
+  }
+  const nodes = parsed.nodes.filter(
+    (node) =>
+      typeof node?.id === "string" &&
+      isPlainObject(node.data) &&
+      Number.isFinite(node.position?.x) &&
+      Number.isFinite(node.position?.y)
+  );
+  return nodes.length ? { ...parsed, nodes } : null;
+}
+
+export function instantiateSelection(payload, offset = PASTE_OFFSET) {
+  const stamp = Date.now();
+  const ids = new Map(payload.nodes.map((node, index) => [node.id, `n-${stamp}-${index}`]));
+  const edgeIds = new Map();
+  const edges = payload.edges
+    .filter((edge) => ids.has(edge.source) && ids.has(edge.target))
+    .map((edge, index) => {
+      const id = `e-${ids.get(edge.source)}-${ids.get(edge.target)}-${index}`;
+      edgeIds.set(edge.id, id);
+      return {
+        type: "smoothstep",
+        markerEnd: { type: MarkerType.ArrowClosed },
+        ...edge,
+        id,
+        source: ids.get(edge.source),
+        target: ids.get(edge.target)
+      };
+    });
+  const nodes = payload.nodes.map((node) => {
+    const listItems =
+      node.data.role === "examples"
+        ? []
+        : normalizeListItems(
+            (Array.isArray(node.data.listItems) ? node.data.listItems : []).map(({ id, ...item }) => item),
+            node.data.content,
+            node.data.contentFormat
+          );
+    const data = {
+      ...node.data,
+      listItems,
+      ...(node.data.role === "examples"
+        ? { examples: normalizeExamples(node.data.examples).map((example) => ({ ...example, id: createExample().id })) }
+        : {})
+    };
+    if (data.activeBranch && data.activeBranch !== "auto") {
+      data.activeBranch = edgeIds.get(data.activeBranch) ?? "auto";
+    }
+    return {
+      id: ids.get(node.id),
+      type: "promptNode",
+      position: { x: node.position.x + offset, y: node.position.y + offset },
+      selected: true,
+      data
+    };
+  });
+  return { nodes, edges };
+}
@@ -0,0 +1,72 @@
+import { createFlowDocument } from "./flowSchema";
+
+// `#flow=<codec>.<base64url>`: `z` is deflate-raw JSON, `j` plain JSON where
+// CompressionStream is unavailable. Fragments are never sent to a server.
+export const SHARE_FRAGMENT_PREFIX = "#flow=";
+// Chat apps and email clients often truncate longer links.
+export const SHARE_LINK_WARNING_LENGTH = 8000;
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+export async function createShareLink(
+  { name, nodes, edges, variables, promptRenderer },
+  baseUrl = window.location.href
+) {
+  const flowDocument = {
+    name,
+    ...createFlowDocument({
+      nodes: nodes.map(({ id, type, position, data }) => ({ id, type, position, data })),
+      edges: edges.map(({ selected, animated, className, ...edge }) => edge),
+      variables,
+      selectedNodeId: null,
+      promptRenderer
+    })
+  };
+  const json = new TextEncoder().encode(JSON.stringify(flowDocument));
+  const payload =
+    typeof CompressionStream === "function"
+      ? `z.${toBase64Url(await pipeBytes(json, new CompressionStream("deflate-raw")))}`
+      : `j.${toBase64Url(json)}`;
+  const url = new URL(baseUrl);
+  url.hash = `${SHARE_FRAGMENT_PREFIX.slice(1)}${payload}`;
+  return url.toString();
+}
+
+export const hasShareFragment = (hash) => typeof hash === "string" && hash.startsWith(SHARE_FRAGMENT_PREFIX);
+
+// Throws when the fragment is damaged, e.g. truncated by a chat app.
+export async function readShareFragment(hash) {
+  const payload = hash.slice(SHARE_FRAGMENT_PREFIX.length);
+  const codec = payload[0];
+  if (payload[1] !== "." || !["z", "j"].includes(codec)) {
+    throw new Error("Unsupported share link format.");
+  }
+  let flowDocument;
+  try {
+    let bytes = fromBase64Url(payload.slice(2));
+    if (codec === "z") {
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    }
+    flowDocument = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("The share link is damaged or incomplete. Ask for the full link again.");
+  }
+  return {
+    name: typeof flowDocument?.name === "string" ? flowDocument.name : "Shared Flow",
+    document: flowDocument
+  };
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { createShareLink, hasShareFragment, readShareFragment } from "./shareLinks";
+
+const flow = {
+  name: "Greeting",
+  nodes: [
+    {
+      id: "node-1",
+      type: "promptNode",
+      position: { x: 0, y: 0 },
+      selected: true,
+      data: { role: "user", label: "Ask", listItems: [{ id: "i1", text: "Say hi", level: 1 }], content: "1 Say hi" }
+    }
+  ],
+  edges: [],
+  variables: [],
+  promptRenderer: { id: "default", template: "" }
+};
+
+describe("share links", () => {
+  it("round-trips a flow through the URL fragment", async () => {
+    const link = await createShareLink(flow, "https://example.com/app?x=1");
+    const { hash, search } = new URL(link);
+    expect(search).toBe("?x=1");
+    expect(hasShareFragment(hash)).toBe(true);
+    expect(hash.startsWith("#flow=z.")).toBe(true);
+
+    const { name, document } = await readShareFragment(hash);
+    expect(name).toBe("Greeting");
+    expect(document.nodes).toHaveLength(1);
+    expect(document.nodes[0].data.listItems[0].text).toBe("Say hi");
+    expect(document.nodes[0].selected).toBeUndefined();
+  });
+
+  it("reads plain JSON fragments", async () => {
+    const payload = Buffer.from(JSON.stringify({ nodes: [], edges: [] })).toString("base64url");
+    expect(await readShareFragment(`#flow=j.${payload}`)).toEqual({
+      name: "Shared Flow",
+      document: { nodes: [], edges: [] }
+    });
+  });
+
+  it("rejects unknown codecs and truncated links", async () => {
+    const link = await createShareLink(flow, "https://example.com/");
+    const { hash } = new URL(link);
+    await expect(readShareFragment("#flow=x.abc")).rejects.toThrow("Unsupported share link format.");
+    await expect(readShareFragment(hash.slice(0, hash.length / 2))).rejects.toThrow("damaged or incomplete");
+  });
+});
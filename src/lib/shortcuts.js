@@ -0,0 +1,92 @@
+import { readJson, writeJson } from "./storage";
+
+export const SHORTCUTS_STORAGE_KEY = "prompt-flow-designer.shortcuts.v1";
+
+// "Mod" is Ctrl, or Cmd on macOS.
+export const DEFAULT_SHORTCUTS = {
+  "palette.open": ["Mod+K"],
+  "shortcuts.open": ["Shift+/"],
+  "edit.undo": ["Mod+Z"],
+  "edit.redo": ["Mod+Shift+Z", "Mod+Y"],
+  "edit.find": ["Mod+F", "Mod+H"],
+  "node.duplicate": ["Mod+D"],
+  "node.delete": ["Delete"],
+  "node.add.system": ["Alt+1"],
+  "node.add.user": ["Alt+2"],
+  "node.add.assistant": ["Alt+3"],
+  "node.add.condition": ["Alt+4"],
+  "node.add.subflow": ["Alt+5"],
+  "node.add.examples": ["Alt+6"],
+  "layout.apply": ["Alt+L"],
+  "panel.left": ["Alt+["],
+  "panel.right": ["Alt+]"]
+};
+
+const MODIFIER_KEYS = ["Control", "Meta", "Alt", "Shift", "AltGraph", "CapsLock"];
+// `event.key` changes with Alt or Shift (Alt+1 is "¡" on macOS).
+const CODE_KEYS = {
+  BracketLeft: "[",
+  BracketRight: "]",
+  Slash: "/",
+  Backslash: "\\",
+  Comma: ",",
+  Period: ".",
+  Semicolon: ";",
+  Quote: "'",
+  Minus: "-",
+  Equal: "=",
+  Backquote: "`"
+};
+
+export const isMacPlatform = () => typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
+
+export function eventToBinding(event) {
+  if (MODIFIER_KEYS.includes(event.key)) {
+    return null;
+  }
+  let key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+  if (/^Key[A-Z]$/.test(event.code)) {
+    key = event.code.slice(3);
+  } else if (/^Digit\d$/.test(event.code)) {
+    key = event.code.slice(5);
+  } else if (CODE_KEYS[event.code]) {
+    key = CODE_KEYS[event.code];
+  } else if (key === " ") {
+    key = "Space";
+  }
+  return [event.ctrlKey || event.metaKey ? "Mod" : "", event.altKey ? "Alt" : "", event.shiftKey ? "Shift" : "", key]
+    .filter(Boolean)
+    .join("+");
+}
+
+export const formatBinding = (binding) =>
+  binding
+    .split("+")
+    .map((part) => (part === "Mod" ? (isMacPlatform() ? "Cmd" : "Ctrl") : part))
+    .join("+");
+
+export const formatBindings = (bindings = []) => bindings.map(formatBinding).join(" / ");
+
+export function loadShortcutBindings() {
+  const stored = readJson(SHORTCUTS_STORAGE_KEY) ?? {};
+  const overrides = Object.fromEntries(
+    Object.entries(stored).filter(
+      ([, bindings]) => Array.isArray(bindings) && bindings.every((binding) => typeof binding === "string")
+    )
+  );
+  return { ...DEFAULT_SHORTCUTS, ...overrides };
+}
+
+// Only overrides are stored, so later default changes still apply.
+export function saveShortcutBindings(bindings) {
+  const overrides = Object.fromEntries(
+    Object.entries(bindings).filter(
+      ([id, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_SHORTCUTS[id] ?? [])
+    )
+  );
+  writeJson(SHORTCUTS_STORAGE_KEY, overrides);
+}
+
+export function findCommandForBinding(bindings, binding) {
+  return Object.keys(bindings).find((id) => bindings[id]?.includes(binding)) ?? null;
+}
@@ -0,0 +1,118 @@
+import { normalizeExampleOptions, normalizeExamples } from "./examples";
+import { CONTENT_FORMATS, normalizeListItems } from "./listItems";
+import { readJson, writeJson } from "./storage";
+
+export const SNIPPETS_STORAGE_KEY = "prompt-flow-designer.snippets.v1";
+export const SNIPPETS_FILE_KIND = "prompt-flow-designer.snippets";
+const SNIPPET_ROLES = ["system", "user", "assistant", "condition", "subflow", "examples"];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const createSnippetId = () => `snippet-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const parseTags = (value) =>
+  [...new Set(String(value ?? "").split(",").map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+
+export function createSnippet(node, { name, tags = [] } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: createSnippetId(),
+    name: name?.trim() || node.data.label || "Untitled Snippet",
+    tags,
+    role: node.data.role,
+    label: node.data.label,
+    items: normalizeListItems(node.data.listItems, node.data.content, node.data.contentFormat).map(
+      ({ id, ...item }) => item
+    ),
+    ...(node.data.contentFormat ? { contentFormat: node.data.contentFormat } : {}),
+    ...(node.data.role === "examples"
+      ? {
+          examples: normalizeExamples(node.data.examples),
+          exampleOptions: normalizeExampleOptions(node.data.exampleOptions)
+        }
+      : {}),
+    ...(node.data.role === "subflow" && node.data.subflow ? { subflow: node.data.subflow } : {}),
+    createdAt: now
+  };
+}
+
+const normalizeSnippet = (snippet) => {
+  if (!isPlainObject(snippet) || !SNIPPET_ROLES.includes(snippet.role) || !Array.isArray(snippet.items)) {
+    return null;
+  }
+  return {
+    id: typeof snippet.id === "string" && snippet.id ? snippet.id : createSnippetId(),
+    name: typeof snippet.name === "string" && snippet.name ? snippet.name : "Untitled Snippet",
+    tags: Array.isArray(snippet.tags) ? parseTags(snippet.tags.join(",")) : [],
+    role: snippet.role,
+    label: typeof snippet.label === "string" ? snippet.label : snippet.role,
+    items: normalizeListItems(snippet.items).map(({ id, ...item }) => item),
+    ...(CONTENT_FORMATS.includes(snippet.contentFormat) ? { contentFormat: snippet.contentFormat } : {}),
+    ...(snippet.role === "examples"
+      ? {
+          examples: normalizeExamples(snippet.examples),
+          exampleOptions: normalizeExampleOptions(snippet.exampleOptions)
+        }
+      : {}),
+    ...(snippet.role === "subflow" && isPlainObject(snippet.subflow) ? { subflow: snippet.subflow } : {}),
+    createdAt: typeof snippet.createdAt === "string" ? snippet.createdAt : new Date().toISOString()
+  };
+};
+
+export function loadSnippets() {
+  const parsed = readJson(SNIPPETS_STORAGE_KEY, []);
+  return Array.isArray(parsed) ? parsed.map(normalizeSnippet).filter(Boolean) : [];
+}
+
+export function saveSnippets(snippets) {
+  writeJson(SNIPPETS_STORAGE_KEY, snippets);
+}
+
+export function filterSnippets(snippets, search) {
+  const terms = search.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) {
+    return snippets;
+  }
+  return snippets.filter((snippet) => {
+    const haystack = [
+      snippet.name,
+      snippet.label,
+      snippet.role,
+      ...snippet.tags.map((tag) => `#${tag}`),
+      ...snippet.items.map((item) => item.text)
+    ]
+      .join("\n")
+      .toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+export function exportSnippets(snippets) {
+  return JSON.stringify({ kind: SNIPPETS_FILE_KIND, version: 1, snippets }, null, 2);
+}
+
+// Imported snippets replace local ones with the same id.
+export function importSnippets(existing, text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { snippets: existing, imported: 0, error: "Snippet file is not valid JSON." };
+  }
+  const incoming = Array.isArray(parsed) ? parsed : parsed?.kind === SNIPPETS_FILE_KIND ? parsed.snippets : null;
+  if (!Array.isArray(incoming)) {
+    return { snippets: existing, imported: 0, error: "File does not contain a snippet library." };
+  }
+  const valid = incoming.map(normalizeSnippet).filter(Boolean);
+  if (!valid.length) {
+    return { snippets: existing, imported: 0, error: "No valid snippets found in the file." };
+  }
+  const byId = new Map(valid.map((snippet) => [snippet.id, snippet]));
+  const merged = existing.map((snippet) => byId.get(snippet.id) ?? snippet);
+  const existingIds = new Set(existing.map((snippet) => snippet.id));
+  return {
+    snippets: [...merged, ...valid.filter((snippet) => !existingIds.has(snippet.id))],
+    imported: valid.length,
+    error: null
+  };
+}
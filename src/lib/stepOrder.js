@@ -0,0 +1,45 @@
+// Nodes without an order (older flows) sort by position, before ordered siblings.
+export const hasStepOrder = (node) => Number.isFinite(node?.data?.order);
+
+export function compareStepOrder(a, b) {
+  if (hasStepOrder(a) !== hasStepOrder(b)) {
+    return hasStepOrder(a) ? 1 : -1;
+  }
+  return (
+    (hasStepOrder(a) ? a.data.order - b.data.order : 0) ||
+    a.position.y - b.position.y ||
+    a.position.x - b.position.x
+  );
+}
+
+// "3", or "3–5" for a subflow that expands into several steps.
+export const formatStepRange = (steps = []) =>
+  steps.length > 1 ? `${steps[0]}–${steps[steps.length - 1]}` : steps.length ? String(steps[0]) : "";
+
+export const getNextStepOrder = (nodes) =>
+  nodes.reduce((max, node) => (hasStepOrder(node) ? Math.max(max, node.data.order) : max), 0) + 1;
+
+export function appendStepOrder(nodes, start) {
+  const orders = new Map([...nodes].sort(compareStepOrder).map((node, index) => [node.id, start + index]));
+  return nodes.map((node) => ({ ...node, data: { ...node.data, order: orders.get(node.id) } }));
+}
+
+const numberGroups = (nodes, groups) => {
+  const orders = new Map(groups.flatMap((ids) => ids.map((id, index) => [id, index + 1])));
+  return nodes.map((node) =>
+    orders.has(node.id) ? { ...node, data: { ...node.data, order: orders.get(node.id) } } : node
+  );
+};
+
+export function reorderSiblings(nodes, siblingIds, id, targetId) {
+  const ids = siblingIds.filter((entry) => entry !== id);
+  const movingDown = siblingIds.indexOf(id) < siblingIds.indexOf(targetId);
+  ids.splice(ids.indexOf(targetId) + (movingDown ? 1 : 0), 0, id);
+  return numberGroups(nodes, [ids]);
+}
+
+export function pinStepOrder(nodes, outline) {
+  const groups = new Map();
+  outline.forEach((entry) => groups.set(entry.parentId, [...(groups.get(entry.parentId) ?? []), entry.id]));
+  return numberGroups(nodes, [...groups.values()]);
+}
@@ -0,0 +1,42 @@
+const getStorage = () => (typeof window === "undefined" ? null : window.localStorage);
+
+// Quota and privacy-mode errors: failed reads return null, failed writes false.
+export function safeGetItem(key) {
+  try {
+    return getStorage().getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+export function safeSetItem(key, value) {
+  try {
+    getStorage().setItem(key, value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function safeRemoveItem(key) {
+  try {
+    getStorage().removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function readJson(key, fallback = null) {
+  const raw = safeGetItem(key);
+  if (!raw) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export const writeJson = (key, value) => safeSetItem(key, JSON.stringify(value));
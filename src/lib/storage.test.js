@@ -0,0 +1,46 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { readJson, safeGetItem, safeRemoveItem, safeSetItem, writeJson } from "./storage";
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key)
+  };
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("storage helpers", () => {
+  it("round-trips JSON values", () => {
+    vi.stubGlobal("window", { localStorage: memoryStorage() });
+    expect(writeJson("key", { a: 1 })).toBe(true);
+    expect(readJson("key")).toEqual({ a: 1 });
+    expect(safeRemoveItem("key")).toBe(true);
+    expect(readJson("key", [])).toEqual([]);
+  });
+
+  it("returns the fallback for invalid JSON", () => {
+    vi.stubGlobal("window", { localStorage: memoryStorage() });
+    safeSetItem("key", "{not json");
+    expect(readJson("key", "fallback")).toBe("fallback");
+  });
+
+  it("swallows storage errors such as a full quota", () => {
+    const fail = () => {
+      throw new Error("QuotaExceededError");
+    };
+    vi.stubGlobal("window", { localStorage: { getItem: fail, setItem: fail, removeItem: fail } });
+    expect(safeGetItem("key")).toBeNull();
+    expect(safeSetItem("key", "value")).toBe(false);
+    expect(safeRemoveItem("key")).toBe(false);
+  });
+
+  it("treats missing storage as a failed write", () => {
+    expect(safeSetItem("key", "value")).toBe(false);
+    expect(readJson("key", 1)).toBe(1);
+  });
+});
@@ -0,0 +1,170 @@
+import { loadFlowDocument } from "./flowLibrary";
+import { readFlowDocument } from "./flowSchema";
+import { compareStepOrder, hasStepOrder } from "./stepOrder";
+
+// Groups hold their nodes inline, positioned relative to the group node.
+export const isSubflowGroup = (subflow) => Array.isArray(subflow?.nodes) && Array.isArray(subflow?.edges);
+
+export function describeSubflowSource(subflow, flows = []) {
+  if (isSubflowGroup(subflow)) {
+    return `Group of ${subflow.nodes.length} node${subflow.nodes.length === 1 ? "" : "s"}`;
+  }
+  if (!subflow?.flowId) {
+    return "No flow selected";
+  }
+  const flow = flows.find((entry) => entry.id === subflow.flowId);
+  return flow ? `Flow: ${flow.name}` : "Missing flow";
+}
+
+// Cached for the resolver's lifetime; create a new one when saved flows change.
+export function createSubflowResolver(flows) {
+  const cache = new Map();
+  return (flowId) => {
+    if (cache.has(flowId)) {
+      return cache.get(flowId);
+    }
+    const entry = flows.find((flow) => flow.id === flowId);
+    let resolved = null;
+    if (entry) {
+      const stored = loadFlowDocument(flowId);
+      const result = stored.document ? readFlowDocument(stored.document) : null;
+      if (result?.document) {
+        resolved = {
+          id: flowId,
+          name: entry.name,
+          nodes: result.document.nodes,
+          edges: result.document.edges,
+          variables: result.document.variables
+        };
+      }
+    }
+    cache.set(flowId, resolved);
+    return resolved;
+  };
+}
+
+const toStoredNode = ({ id, type, position, data }) => ({ id, type, position, data });
+const toStoredEdge = ({ selected, animated, className, ...edge }) => edge;
+const edgeKey = (edge) => `${edge.source}->${edge.target}`;
+
+export function groupNodesAsSubflow(nodes, edges, selectedIds, group) {
+  const inside = new Set(selectedIds);
+  const members = nodes.filter((node) => inside.has(node.id));
+  const origin = {
+    x: Math.min(...members.map((node) => node.position.x)),
+    y: Math.min(...members.map((node) => node.position.y))
+  };
+  // The group takes the step order of its earliest member.
+  const first = [...members].sort(compareStepOrder)[0];
+
+  const subflowNode = {
+    id: group.id,
+    type: "promptNode",
+    position: origin,
+    data: {
+      role: "subflow",
+      label: group.label,
+      listItems: [],
+      content: "",
+      expanded: false,
+      ...(hasStepOrder(first) ? { order: first.data.order } : {}),
+      subflow: {
+        nodes: members.map((node) =>
+          toStoredNode({
+            ...node,
+            position: { x: node.position.x - origin.x, y: node.position.y - origin.y }
+          })
+        ),
+        edges: edges
+          .filter((edge) => inside.has(edge.source) && inside.has(edge.target))
+          .map(toStoredEdge)
+      }
+    }
+  };
+
+  const seen = new Set();
+  const nextEdges = [];
+  edges.forEach((edge) => {
+    const fromInside = inside.has(edge.source);
+    const toInside = inside.has(edge.target);
+    if (fromInside && toInside) {
+      return;
+    }
+    const next =
+      fromInside || toInside
+        ? { ...edge, source: fromInside ? group.id : edge.source, target: toInside ? group.id : edge.target }
+        : edge;
+    if (seen.has(edgeKey(next))) {
+      return;
+    }
+    seen.add(edgeKey(next));
+    nextEdges.push(next);
+  });
+
+  return {
+    nodes: [...nodes.filter((node) => !inside.has(node.id)), subflowNode],
+    edges: nextEdges
+  };
+}
+
+export function ungroupSubflow(nodes, edges, groupId) {
+  const groupNode = nodes.find((node) => node.id === groupId);
+  if (!isSubflowGroup(groupNode?.data.subflow)) {
+    return null;
+  }
+
+  const taken = new Set(nodes.filter((node) => node.id !== groupId).map((node) => node.id));
+  const renamed = new Map();
+  groupNode.data.subflow.nodes.forEach((node) => {
+    let id = node.id;
+    let suffix = 2;
+    while (taken.has(id)) {
+      id = `${node.id}-${suffix}`;
+      suffix += 1;
+    }
+    taken.add(id);
+    renamed.set(node.id, id);
+  });
+  const rename = (id) => renamed.get(id) ?? id;
+
+  const innerNodes = groupNode.data.subflow.nodes.map((node) => ({
+    ...node,
+    id: rename(node.id),
+    position: {
+      x: groupNode.position.x + node.position.x,
+      y: groupNode.position.y + node.position.y
+    }
+  }));
+  const innerEdges = groupNode.data.subflow.edges
+    .filter((edge) => renamed.has(edge.source) && renamed.has(edge.target))
+    .map((edge) => ({
+      ...edge,
+      id:
+        rename(edge.source) === edge.source && rename(edge.target) === edge.target
+          ? edge.id
+          : `e-${rename(edge.source)}-${rename(edge.target)}`,
+      source: rename(edge.source),
+      target: rename(edge.target)
+    }));
+
+  const innerIds = innerNodes.map((node) => node.id);
+  const starts = innerIds.filter((id) => !innerEdges.some((edge) => edge.target === id));
+  const ends = innerIds.filter((id) => !innerEdges.some((edge) => edge.source === id));
+
+  const outerEdges = [];
+  edges.forEach((edge) => {
+    if (edge.target === groupId) {
+      starts.forEach((id) => outerEdges.push({ ...edge, id: `${edge.id}-${id}`, target: id }));
+    } else if (edge.source === groupId) {
+      ends.forEach((id) => outerEdges.push({ ...edge, id: `${edge.id}-${id}`, source: id }));
+    } else {
+      outerEdges.push(edge);
+    }
+  });
+
+  return {
+    nodes: [...nodes.filter((node) => node.id !== groupId), ...innerNodes],
+    edges: [...outerEdges, ...innerEdges],
+    nodeIds: innerIds
+  };
+}
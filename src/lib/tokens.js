@@ -0,0 +1,58 @@
+import { countTokens } from "gpt-tokenizer";
+import { readJson, writeJson } from "./storage";
+
+// o200k_base is used for every target, so non-OpenAI counts are estimates.
+export const CONTEXT_TARGETS = [
+  { id: "gpt-4.1", label: "GPT-4.1 (1M)", contextWindow: 1047576 },
+  { id: "gpt-4o", label: "GPT-4o (128k)", contextWindow: 128000 },
+  { id: "claude", label: "Claude (200k)", contextWindow: 200000 },
+  { id: "llama-8k", label: "Local 8k model", contextWindow: 8192 },
+  { id: "small-4k", label: "Small 4k model", contextWindow: 4096 },
+  { id: "custom", label: "Custom context size", contextWindow: null }
+];
+
+export const TOKEN_TARGET_STORAGE_KEY = "prompt-flow-designer.token-target.v1";
+export const TOKEN_WARNING_RATIO = 0.9;
+
+const CACHE_LIMIT = 500;
+const cache = new Map();
+
+export function countTextTokens(text = "") {
+  if (typeof text !== "string" || !text) {
+    return 0;
+  }
+  if (cache.has(text)) {
+    return cache.get(text);
+  }
+  const count = countTokens(text);
+  if (cache.size >= CACHE_LIMIT) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(text, count);
+  return count;
+}
+
+export function formatTokenCount(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count);
+}
+
+export function loadTokenTarget() {
+  const fallback = { targetId: "gpt-4o", customContextWindow: 8192 };
+  const stored = readJson(TOKEN_TARGET_STORAGE_KEY);
+  if (!CONTEXT_TARGETS.some((target) => target.id === stored?.targetId)) {
+    return fallback;
+  }
+  return {
+    targetId: stored.targetId,
+    customContextWindow: Number(stored.customContextWindow) > 0 ? Number(stored.customContextWindow) : 8192
+  };
+}
+
+export function saveTokenTarget(target) {
+  writeJson(TOKEN_TARGET_STORAGE_KEY, target);
+}
+
+export function getContextWindow({ targetId, customContextWindow }) {
+  const target = CONTEXT_TARGETS.find((item) => item.id === targetId);
+  return target?.contextWindow ?? customContextWindow;
+}
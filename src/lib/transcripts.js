@@ -0,0 +1,136 @@
+const ROLE_ALIASES = {
+  system: "system",
+  developer: "system",
+  user: "user",
+  human: "user",
+  assistant: "assistant",
+  ai: "assistant",
+  model: "assistant",
+  tool: "user",
+  function: "user"
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Flattens OpenAI content parts and Anthropic content blocks into plain text.
+function contentToText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return "";
+  }
+  return content
+    .map((part) => {
+      if (typeof part === "string") {
+        return part;
+      }
+      if (typeof part?.text === "string") {
+        return part.text;
+      }
+      if (part?.type === "tool_use") {
+        return `[tool call] ${part.name}(${JSON.stringify(part.input ?? {})})`;
+      }
+      if (part?.type === "tool_result") {
+        return `[tool result] ${contentToText(part.content)}`;
+      }
+      if (part?.type === "image" || part?.type === "image_url" || part?.type === "input_image") {
+        return "[image]";
+      }
+      return "";
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+function toMessage(raw) {
+  if (!isPlainObject(raw) || typeof raw.role !== "string") {
+    return null;
+  }
+  const sourceRole = raw.role.toLowerCase();
+  const role = ROLE_ALIASES[sourceRole];
+  if (!role) {
+    return null;
+  }
+  let content = contentToText(raw.content);
+  if (Array.isArray(raw.tool_calls) && raw.tool_calls.length) {
+    const calls = raw.tool_calls.map(
+      (call) => `[tool call] ${call.function?.name ?? "tool"}(${call.function?.arguments ?? ""})`
+    );
+    content = [content, ...calls].filter(Boolean).join("\n");
+  }
+  const label =
+    sourceRole === "tool" || sourceRole === "function"
+      ? "Tool Result"
+      : role[0].toUpperCase() + role.slice(1);
+  return { role, label, content: content.trim() || "(empty)" };
+}
+
+const toMessages = (list) => (Array.isArray(list) ? list.map(toMessage).filter(Boolean) : []);
+
+export function parseChatTranscript(value) {
+  if (Array.isArray(value)) {
+    const messages = toMessages(value);
+    return messages.length && messages.length === value.length ? messages : null;
+  }
+  if (!isPlainObject(value)) {
+    return null;
+  }
+
+  const list = Array.isArray(value.messages) ? value.messages : Array.isArray(value.input) ? value.input : null;
+  if (!list) {
+    return null;
+  }
+  const messages = toMessages(list);
+  if (!messages.length) {
+    return null;
+  }
+
+  const system = contentToText(value.system).trim();
+  return system ? [{ role: "system", label: "System", content: system }, ...messages] : messages;
+}
+
+export function parseJsonlDataset(text) {
+  const lines = (text || "")
+    .split("\n")
+    .map((line, index) => ({ raw: line.trim(), lineNumber: index + 1 }))
+    .filter((line) => line.raw);
+  if (lines.length < 2) {
+    return null;
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    let parsed;
+    try {
+      parsed = JSON.parse(line.raw);
+    } catch {
+      return null;
+    }
+    const messages = isPlainObject(parsed) ? parseChatTranscript(parsed) : null;
+    if (!messages) {
+      return null;
+    }
+    const firstUser = messages.find((message) => message.role === "user");
+    entries.push({
+      lineNumber: line.lineNumber,
+      messages,
+      preview: (firstUser ?? messages[0]).content.replace(/\s+/g, " ").slice(0, 80)
+    });
+  }
+  return { entries };
+}
+
+export function messagesToGraph(messages) {
+  const nodes = messages.map((message, index) => ({
+    id: `import-${index + 1}`,
+    role: message.role,
+    label: message.label,
+    content: message.content
+  }));
+  const edges = nodes.slice(0, -1).map((node, index) => ({
+    from: node.id,
+    to: nodes[index + 1].id
+  }));
+  return { nodes, edges };
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { messagesToGraph, parseChatTranscript, parseJsonlDataset } from "./transcripts";
+
+describe("parseChatTranscript", () => {
+  it("reads a Chat Completions payload with content parts and tool calls", () => {
+    const payload = {
+      model: "gpt-4o",
+      messages: [
+        { role: "developer", content: "Be brief." },
+        { role: "user", content: [{ type: "text", text: "Weather?" }, { type: "image_url", image_url: {} }] },
+        {
+          role: "assistant",
+          content: null,
+          tool_calls: [{ function: { name: "weather", arguments: "{\"city\":\"Oslo\"}" } }]
+        },
+        { role: "tool", content: "Rain" }
+      ]
+    };
+    expect(parseChatTranscript(payload)).toEqual([
+      { role: "system", label: "System", content: "Be brief." },
+      { role: "user", label: "User", content: "Weather?\n[image]" },
+      { role: "assistant", label: "Assistant", content: "[tool call] weather({\"city\":\"Oslo\"})" },
+      { role: "user", label: "Tool Result", content: "Rain" }
+    ]);
+  });
+
+  it("lifts the top-level system prompt of an Anthropic payload", () => {
+    const payload = {
+      system: [{ type: "text", text: "You are terse." }],
+      messages: [{ role: "user", content: [{ type: "text", text: "Hi" }] }]
+    };
+    expect(parseChatTranscript(payload).map((message) => [message.role, message.content])).toEqual([
+      ["system", "You are terse."],
+      ["user", "Hi"]
+    ]);
+  });
+
+  it("rejects bare arrays with unknown roles and objects without messages", () => {
+    expect(parseChatTranscript([{ role: "user", content: "Hi" }, { role: "narrator", content: "..." }])).toBeNull();
+    expect(parseChatTranscript({ nodes: [] })).toBeNull();
+  });
+});
+
+describe("parseJsonlDataset", () => {
+  it("previews each line with its first user turn", () => {
+    const text = [
+      JSON.stringify({ messages: [{ role: "system", content: "S" }, { role: "user", content: "First\nquestion" }] }),
+      "",
+      JSON.stringify({ messages: [{ role: "assistant", content: "Only reply" }] })
+    ].join("\n");
+    const { entries } = parseJsonlDataset(text);
+    expect(entries.map(({ lineNumber, preview }) => [lineNumber, preview])).toEqual([
+      [1, "First question"],
+      [3, "Only reply"]
+    ]);
+  });
+
+  it("returns null when any line is not a transcript", () => {
+    expect(parseJsonlDataset(`${JSON.stringify({ messages: [{ role: "user", content: "Hi" }] })}\n{"a":1}`)).toBeNull();
+  });
+});
+
+describe("messagesToGraph", () => {
+  it("chains the messages in order", () => {
+    const graph = messagesToGraph([
+      { role: "user", label: "User", content: "Hi" },
+      { role: "assistant", label: "Assistant", content: "Hello" }
+    ]);
+    expect(graph.edges).toEqual([{ from: "import-1", to: "import-2" }]);
+    expect(graph.nodes.map((node) => node.id)).toEqual(["import-1", "import-2"]);
+  });
+});
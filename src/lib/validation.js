@@ -0,0 +1,164 @@
+export const VALID_ROLES = ["system", "user", "assistant", "condition", "subflow", "examples"];
+
+// `graph` uses the exported shape (`from`/`to` edges).
+export function validateFlow(graph) {
+  const issues = [];
+  const error = (code, message, extra = {}) => issues.push({ severity: "error", code, message, ...extra });
+  const warning = (code, message, extra = {}) =>
+    issues.push({ severity: "warning", code, message, ...extra });
+
+  if (!graph || typeof graph !== "object") {
+    error("invalid-root", "Invalid JSON: root must be an object.");
+    return issues;
+  }
+  if (!Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+    error("invalid-root", "Invalid JSON: `nodes` and `edges` must be arrays.");
+    return issues;
+  }
+  if (!graph.nodes.length) {
+    error("no-nodes", "Invalid flow: at least one node is required.");
+    return issues;
+  }
+
+  const nodeIds = new Set();
+  const nodesById = new Map();
+  graph.nodes.forEach((node) => {
+    if (!node?.id || typeof node.id !== "string") {
+      error("missing-id", "Invalid node: every node must have a string `id`.");
+      return;
+    }
+    if (nodeIds.has(node.id)) {
+      error("duplicate-id", `Invalid flow: duplicate node id '${node.id}'.`, { nodeId: node.id });
+      return;
+    }
+    nodeIds.add(node.id);
+    nodesById.set(node.id, node);
+    if (!VALID_ROLES.includes(node.role)) {
+      error("invalid-role", `Invalid node '${node.id}': role must be ${VALID_ROLES.join(", ")}.`, {
+        nodeId: node.id
+      });
+    }
+    if (typeof node.label !== "string") {
+      error("invalid-label", `Invalid node '${node.id}': label must be a string.`, { nodeId: node.id });
+    }
+    if (node.role !== "subflow" && (typeof node.content !== "string" || !node.content.trim())) {
+      warning("empty-node", `Node '${node.label || node.id}' has no content.`, { nodeId: node.id });
+    }
+  });
+
+  const degree = new Map([...nodeIds].map((id) => [id, 0]));
+  const indegree = new Map([...nodeIds].map((id) => [id, 0]));
+  const outgoing = new Map([...nodeIds].map((id) => [id, []]));
+
+  graph.edges.forEach((edge) => {
+    if (!edge?.from || !edge?.to || typeof edge.from !== "string" || typeof edge.to !== "string") {
+      error("invalid-edge", "Invalid edge: each edge must include string `from` and `to`.", { edgeId: edge?.id });
+      return;
+    }
+    if (!nodeIds.has(edge.from) || !nodeIds.has(edge.to)) {
+      error("missing-node", `Invalid edge: '${edge.from}' -> '${edge.to}' references missing node ids.`, {
+        edgeId: edge.id
+      });
+      return;
+    }
+    if (edge.from === edge.to) {
+      error("self-loop", `Invalid edge: self-loop found on '${edge.from}'.`, { nodeId: edge.from, edgeId: edge.id });
+      return;
+    }
+    degree.set(edge.from, degree.get(edge.from) + 1);
+    degree.set(edge.to, degree.get(edge.to) + 1);
+    indegree.set(edge.to, indegree.get(edge.to) + 1);
+    outgoing.get(edge.from).push(edge.to);
+  });
+
+  const labelOf = (id) => nodesById.get(id)?.label || id;
+
+  if (nodeIds.size > 1) {
+    nodeIds.forEach((id) => {
+      if (degree.get(id) === 0) {
+        warning("orphan", `Node '${labelOf(id)}' is not connected to the flow.`, { nodeId: id });
+      }
+    });
+  }
+
+  findCycles(nodeIds, outgoing).forEach((cycle) => {
+    error("cycle", `Cycle between ${cycle.map((id) => `'${labelOf(id)}'`).join(", ")}.`, {
+      nodeId: cycle[0],
+      nodeIds: cycle
+    });
+  });
+
+  nodeIds.forEach((id) => {
+    const branchCount = outgoing.get(id).length;
+    if (nodesById.get(id).role === "condition" && branchCount < 2) {
+      warning(
+        "condition-branches",
+        `Condition '${labelOf(id)}' has ${branchCount} outgoing edge${branchCount === 1 ? "" : "s"}; add at least two branches.`,
+        { nodeId: id }
+      );
+    }
+  });
+
+  const starts = [...nodeIds].filter((id) => indegree.get(id) === 0 && degree.get(id) > 0);
+  if (starts.length > 1) {
+    warning("multiple-starts", `Flow has ${starts.length} start nodes: ${starts.map((id) => `'${labelOf(id)}'`).join(", ")}.`, {
+      nodeId: starts[1],
+      nodeIds: starts
+    });
+  }
+
+  return issues;
+}
+
+// Tarjan's strongly connected components.
+function findCycles(nodeIds, outgoing) {
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const connect = (id) => {
+    indices.set(id, index);
+    lowLinks.set(id, index);
+    index += 1;
+    stack.push(id);
+    onStack.add(id);
+
+    outgoing.get(id).forEach((target) => {
+      if (!indices.has(target)) {
+        connect(target);
+        lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(target)));
+      } else if (onStack.has(target)) {
+        lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(target)));
+      }
+    });
+
+    if (lowLinks.get(id) === indices.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  nodeIds.forEach((id) => {
+    if (!indices.has(id)) {
+      connect(id);
+    }
+  });
+  return cycles;
+}
+
+const STRICT_CODES = new Set(["orphan", "empty-node"]);
+
+export function getBlockingIssue(issues) {
+  return issues.find((issue) => issue.severity === "error" || STRICT_CODES.has(issue.code)) ?? null;
+}
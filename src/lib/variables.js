@@ -0,0 +1,88 @@
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+export function extractVariableNames(text = "") {
+  const names = [];
+  if (typeof text !== "string" || !text) {
+    return names;
+  }
+  for (const match of text.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+export function collectFlowVariables(nodes = []) {
+  const usage = new Map();
+
+  nodes.forEach((node) => {
+    const texts = Array.isArray(node?.data?.listItems)
+      ? node.data.listItems.map((item) => item?.text)
+      : [node?.data?.content];
+    texts.forEach((text) => {
+      extractVariableNames(text).forEach((name) => {
+        if (!usage.has(name)) {
+          usage.set(name, []);
+        }
+        if (!usage.get(name).includes(node.id)) {
+          usage.get(name).push(node.id);
+        }
+      });
+    });
+  });
+
+  return [...usage.entries()]
+    .map(([name, nodeIds]) => ({ name, nodeIds }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function normalizeVariables(variables = []) {
+  if (!Array.isArray(variables)) {
+    return [];
+  }
+  const seen = new Set();
+  return variables
+    .filter((variable) => typeof variable?.name === "string" && variable.name.trim())
+    .map((variable) => ({
+      name: variable.name.trim(),
+      defaultValue: typeof variable.defaultValue === "string" ? variable.defaultValue : "",
+      testValue: typeof variable.testValue === "string" ? variable.testValue : ""
+    }))
+    .filter((variable) => {
+      if (seen.has(variable.name)) {
+        return false;
+      }
+      seen.add(variable.name);
+      return true;
+    });
+}
+
+export function resolveVariableValues(variables = []) {
+  const values = {};
+  normalizeVariables(variables).forEach((variable) => {
+    if (variable.testValue !== "") {
+      values[variable.name] = variable.testValue;
+    } else if (variable.defaultValue !== "") {
+      values[variable.name] = variable.defaultValue;
+    }
+  });
+  return values;
+}
+
+export function substituteVariables(text = "", values = {}) {
+  const unresolved = [];
+  if (typeof text !== "string" || !text) {
+    return { text: text || "", unresolved };
+  }
+  const rendered = text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (Object.prototype.hasOwnProperty.call(values, name)) {
+      return values[name];
+    }
+    if (!unresolved.includes(name)) {
+      unresolved.push(name);
+    }
+    return placeholder;
+  });
+  return { text: rendered, unresolved };
+}